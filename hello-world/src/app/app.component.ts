@@ -1,43 +1,471 @@
 import { Component } from '@angular/core';
+import { DecimalPipe } from '@angular/common';
 import { RouterOutlet } from '@angular/router';
 import { FormsModule } from '@angular/forms';
-import { HttpClient, HttpClientModule } from '@angular/common/http';
+import {
+  HttpClient,
+  HttpClientModule,
+  HttpErrorResponse,
+  HttpParams,
+} from '@angular/common/http';
+import {
+  Highlight,
+  PdfLine,
+  PdfViewerComponent,
+} from './pdf-viewer/pdf-viewer.component';
+
+interface SearchResult {
+  // Granted patents are cited by column and line
+  startColumn?: number;
+  startLine?: number;
+  endColumn?: number;
+  endLine?: number;
+  // Published applications are cited by paragraph
+  startParagraph?: string;
+  endParagraph?: string;
+  // Passages in the claims are also cited by claim, e.g. "claim 7"
+  startClaim?: number;
+  endClaim?: number;
+  claimCitation?: string;
+  text: string;
+  score: number;
+  coverage?: number;
+  citation: string;
+  // Set when the passage was read by OCR from a scanned page
+  ocr?: boolean;
+  confidence?: number;
+  // Where the passage is on the PDF pages
+  highlights?: Highlight[];
+}
+
+interface BatchRow {
+  searchString: string;
+  searchResults: SearchResult[];
+}
+
+interface BatchSearchResponse {
+  documentNumber: string;
+  rows: BatchRow[];
+}
+
+interface DocumentResult {
+  documentNumber: string;
+  bestScore: number;
+  searchResults: SearchResult[];
+  error?: string;
+  code?: string;
+}
+
+interface MultiSearchResponse {
+  searchString: string;
+  documents: DocumentResult[];
+}
+
+interface UploadResponse {
+  documentId: string;
+  fileName: string;
+  size: number;
+}
 
 interface PdfTextResponse {
   text: string;
-  searchResults: string;
+  lines: PdfLine[];
+  searchResults: SearchResult[];
+}
+
+// A step of a streamed search, sent in the 'progress' events of '/search-pdf/stream'
+interface SearchProgress {
+  stage: 'resolving' | 'downloading' | 'parsing' | 'cached' | 'indexing' | 'searching';
+  message?: string;
+  // While downloading, in bytes; the total is null if the size is not known
+  loaded?: number;
+  total?: number | null;
+  // While parsing
+  page?: number;
+  pageCount?: number;
+}
+
+interface CitedDocument {
+  country: string;
+  number: string;
+  kind: string | null;
+  date: string; // Year and month, e.g. '1992-06'
+  name: string | null;
+}
+
+// Bibliographic data from the front page; dates are ISO dates
+interface DocumentMetadata {
+  documentNumber: string | null;
+  kind: string | null;
+  title: string | null;
+  inventors: string[];
+  applicant: string | null;
+  assignee: string | null;
+  applicationNumber: string | null;
+  filingDate: string | null;
+  priorityDates: string[];
+  earliestPriorityDate: string | null;
+  publicationDate: string | null;
+  issueDate: string | null;
+  cpcClasses: string[];
+  ipcClasses: string[];
+  referencesCited: CitedDocument[];
+  abstract: string | null;
+}
+
+interface MetadataResponse {
+  documentNumber: string;
+  metadata: DocumentMetadata;
+}
+
+// The error the server responds with when a request fails
+interface ApiError {
+  code: string;
+  message: string;
 }
 
+// Readable messages for the error codes of the server
+const errorMessages: Record<string, string> = {
+  DOCUMENT_NOT_FOUND: 'No patent or publication with this number was found.',
+  PDF_NOT_FOUND: 'No PDF of this document could be found.',
+  LAYOUT_UNRECOGNIZED:
+    'This PDF does not look like a US patent or published application, so its lines could not be numbered.',
+  NO_TEXT_LAYER: 'This PDF has no text, and its pages could not be read by OCR.',
+  UPSTREAM_TIMEOUT: 'The patent office did not respond in time. Please try again.',
+  JOB_TIMEOUT: 'Processing this document took too long.',
+  DOCUMENT_TOO_LARGE: 'This document is too large to process.',
+  SERVER_BUSY: 'The server is busy with other documents. Please try again shortly.',
+};
+
+// Base URL of the PDF search server
+const apiUrl = 'https://shiny-fortnight-jjr5jp7jjjvxhqvq4-3000.app.github.dev';
+
 @Component({
   selector: 'app-root',
   standalone: true,
-  imports: [RouterOutlet, FormsModule, HttpClientModule],
+  imports: [
+    RouterOutlet,
+    FormsModule,
+    HttpClientModule,
+    DecimalPipe,
+    PdfViewerComponent,
+  ],
   templateUrl: './app.component.html',
   styleUrls: ['./app.component.css'],
 })
 export class AppComponent {
   title = 'Patent Document Search';
   documentNumber = ''; // The URL of the PDF to extract text from
+  documentId = ''; // The ID of an uploaded PDF, used instead of the document number
+  uploadedFileName = ''; // The name of the uploaded PDF
+  isDragging = false; // Whether a file is being dragged over the drop zone
   searchString = ''; // The string to search for in the PDF
+  allowReordering = false; // Whether to find passages with missing, extra or reordered words
   extractedText = ''; // The text extracted from the PDF
-  searchResults = '';
+  searchResults: SearchResult[] = [];
+  claimText = ''; // A claim, or a list of limitations, to search for in one batch
+  onePerLine = false; // Whether claimText holds one limitation per line instead of a claim
+  batchRows: BatchRow[] = [];
+  referenceNumbers = ''; // Document numbers of the references to search, one per line or comma-separated
+  documentResults: DocumentResult[] = [];
+  pdfUrl = ''; // Where the viewer loads the searched PDF from
+  lines: PdfLine[] = []; // The numbered lines of the searched PDF
+  highlights: Highlight[] = []; // The highlights of the result shown in the viewer
+  metadata: DocumentMetadata | null = null; // The front page data of the searched document
+  metadataDocument = ''; // The document the metadata was loaded for
+  errorMessage = ''; // Why the last request failed
+  progress: SearchProgress | null = null; // The last step of the running search, if any
+  private searchEvents: EventSource | null = null; // The event stream of the running search
 
   constructor(private http: HttpClient) {}
 
+  get searchMode() {
+    return this.allowReordering ? 'align' : 'sequence';
+  }
+
+  // Searches the document, showing the progress of the download and the parse as the server streams it
   searchPdf() {
+    this.stopSearch();
+    this.errorMessage = '';
+
+    const params = new HttpParams({
+      fromObject: {
+        documentNumber: this.documentNumber,
+        documentId: this.documentId,
+        searchString: this.searchString,
+        mode: this.searchMode,
+      },
+    });
+    const events = new EventSource(`${apiUrl}/search-pdf/stream?${params}`);
+    this.searchEvents = events;
+    this.progress = { stage: 'resolving' };
+
+    events.addEventListener('progress', (event) => {
+      this.progress = JSON.parse((event as MessageEvent).data);
+    });
+    events.addEventListener('result', (event) => {
+      this.stopSearch();
+      const response: PdfTextResponse = JSON.parse((event as MessageEvent).data);
+      this.extractedText = response.text;
+      this.searchResults = response.searchResults;
+      this.showInViewer(this.searchResults[0]);
+      this.lines = response.lines;
+      this.loadMetadata();
+    });
+    events.addEventListener('failure', (event) => {
+      this.stopSearch();
+      this.errorMessage = this.describeError(JSON.parse((event as MessageEvent).data));
+    });
+    // The connection failed or closed before the server sent the result
+    events.onerror = (error) => {
+      console.error('Error extracting PDF text:', error);
+      if (this.searchEvents === events) {
+        this.stopSearch();
+        this.errorMessage = 'The search server could not be reached.';
+      }
+    };
+  }
+
+  // Closes the event stream of the running search, which also cancels the parse on the server.
+  // A finished search is closed too, as EventSource would otherwise reconnect and search again.
+  stopSearch() {
+    this.searchEvents?.close();
+    this.searchEvents = null;
+    this.progress = null;
+  }
+
+  // How far the running search is, in percent, or undefined while that is not known
+  get progressPercent(): number | undefined {
+    const progress = this.progress;
+    switch (progress?.stage) {
+      case 'downloading':
+        return progress.total ? (30 * progress.loaded!) / progress.total : undefined;
+      case 'parsing':
+        return 30 + (60 * progress.page!) / progress.pageCount!;
+      case 'cached':
+        return 90;
+      case 'indexing':
+        return 92;
+      case 'searching':
+        return 96;
+    }
+    return undefined;
+  }
+
+  get progressLabel() {
+    const progress = this.progress;
+    const megabytes = (bytes: number) => (bytes / 1024 / 1024).toFixed(1);
+    switch (progress?.stage) {
+      case 'downloading':
+        return progress.total
+          ? `Downloading ${megabytes(progress.loaded!)} of ${megabytes(progress.total)} MB`
+          : `Downloading ${megabytes(progress.loaded!)} MB`;
+      case 'parsing':
+        return `Reading page ${progress.page} of ${progress.pageCount}`;
+      case 'cached':
+        return 'Using the saved copy of the document';
+      case 'indexing':
+        return 'Building the search index';
+      case 'searching':
+        return 'Searching';
+    }
+    return progress?.message ?? 'Looking up the document';
+  }
+
+  searchBatch() {
+    const body = this.onePerLine
+      ? { searchStrings: this.claimText.split('\n') }
+      : { claimText: this.claimText };
+
+    this.errorMessage = '';
+    this.http
+      .post<BatchSearchResponse>(`${apiUrl}/search-pdf/batch`, {
+        documentNumber: this.documentNumber,
+        documentId: this.documentId,
+        mode: this.searchMode,
+        ...body,
+      })
+      .subscribe(
+        (response) => {
+          this.batchRows = response.rows;
+          this.showInViewer(this.batchRows[0]?.searchResults[0]);
+          this.loadMetadata();
+        },
+        (error) => {
+          console.error('Error searching PDF:', error);
+          this.showError(error);
+        }
+      );
+  }
+
+  // Downloads a citation report for the claim limitations, or for the search text if no claim is entered
+  exportReport(format: 'docx' | 'csv' | 'json') {
+    const body = !this.claimText.trim()
+      ? { searchStrings: [this.searchString] }
+      : this.onePerLine
+        ? { searchStrings: this.claimText.split('\n') }
+        : { claimText: this.claimText };
+
+    this.errorMessage = '';
     this.http
-      .post<PdfTextResponse>(
-        'https://shiny-fortnight-jjr5jp7jjjvxhqvq4-3000.app.github.dev/search-pdf',
-        { documentNumber: this.documentNumber, searchString: this.searchString }
+      .post(
+        `${apiUrl}/export/${format}`,
+        {
+          documentNumber: this.documentNumber,
+          documentId: this.documentId,
+          mode: this.searchMode,
+          ...body,
+        },
+        { observe: 'response', responseType: 'blob' }
       )
       .subscribe(
         (response) => {
-          this.extractedText = response.text;
-          this.searchResults = response.searchResults;
+          // Use the file name the server picked, e.g. 'US7123456B2-citations.docx'
+          const disposition = response.headers.get('Content-Disposition') ?? '';
+          const fileName =
+            disposition.match(/filename="?([^"]+)"?/)?.[1] ?? `citations.${format}`;
+
+          const link = document.createElement('a');
+          link.href = URL.createObjectURL(response.body!);
+          link.download = fileName;
+          link.click();
+          URL.revokeObjectURL(link.href);
         },
         (error) => {
-          console.error('Error extracting PDF text:', error);
+          console.error('Error exporting citations:', error);
+          this.showError(error);
         }
       );
   }
+
+  searchReferences() {
+    this.errorMessage = '';
+    this.http
+      .post<MultiSearchResponse>(`${apiUrl}/search-pdfs`, {
+        documentNumbers: this.referenceNumbers.split(/[\n,;]+/),
+        searchString: this.searchString,
+        mode: this.searchMode,
+      })
+      .subscribe(
+        (response) => {
+          this.documentResults = response.documents;
+        },
+        (error) => {
+          console.error('Error searching references:', error);
+          this.showError(error);
+        }
+      );
+  }
+
+  onFileSelected(event: Event) {
+    const input = event.target as HTMLInputElement;
+    if (input.files?.length) {
+      this.uploadPdf(input.files[0]);
+    }
+    input.value = '';
+  }
+
+  onDragOver(event: DragEvent) {
+    event.preventDefault();
+    this.isDragging = true;
+  }
+
+  onDrop(event: DragEvent) {
+    event.preventDefault();
+    this.isDragging = false;
+    const file = event.dataTransfer?.files[0];
+    if (file) {
+      this.uploadPdf(file);
+    }
+  }
+
+  uploadPdf(file: File) {
+    const formData = new FormData();
+    formData.append('pdf', file);
+
+    this.http.post<UploadResponse>(`${apiUrl}/upload-pdf`, formData).subscribe(
+      (response) => {
+        this.documentId = response.documentId;
+        this.uploadedFileName = response.fileName;
+      },
+      (error) => {
+        console.error('Error uploading PDF:', error);
+        this.showError(error);
+      }
+    );
+  }
+
+  clearUpload() {
+    this.documentId = '';
+    this.uploadedFileName = '';
+  }
+
+  // Loads the front page data of the searched document, unless it is already shown
+  loadMetadata() {
+    const documentKey = this.documentId || this.documentNumber.trim();
+    if (documentKey === this.metadataDocument) {
+      return;
+    }
+    this.metadataDocument = documentKey;
+    this.metadata = null;
+
+    this.http
+      .get<MetadataResponse>(
+        `${apiUrl}/metadata/${encodeURIComponent(documentKey)}`
+      )
+      .subscribe(
+        (response) => {
+          this.metadata = response.metadata;
+        },
+        (error) => {
+          console.error('Error loading metadata:', error);
+        }
+      );
+  }
+
+  // Opens the searched PDF in the viewer, at the given result
+  showInViewer(result?: SearchResult) {
+    const pdfUrl = `${apiUrl}/pdf/${encodeURIComponent(
+      this.documentId || this.documentNumber.trim()
+    )}`;
+    // The lines of the previous document no longer apply to a different one
+    if (pdfUrl !== this.pdfUrl) {
+      this.pdfUrl = pdfUrl;
+      this.lines = [];
+    }
+    this.highlights = result?.highlights ?? [];
+  }
+
+  // Shows a readable message for a failed request, based on the error code in the response
+  async showError(error: HttpErrorResponse) {
+    let body = error.error;
+    // Downloads receive their error response as a Blob
+    if (body instanceof Blob) {
+      try {
+        body = JSON.parse(await body.text());
+      } catch {
+        body = null;
+      }
+    }
+
+    if (error.status === 0) {
+      this.errorMessage = 'The search server could not be reached.';
+    } else {
+      this.errorMessage = this.describeError(body?.error);
+    }
+  }
+
+  describeError(error?: Partial<ApiError>) {
+    return (
+      (error?.code && errorMessages[error.code]) ||
+      error?.message ||
+      'Something went wrong. Please try again.'
+    );
+  }
+
+  copyCitation(result: SearchResult) {
+    navigator.clipboard.writeText(result.citation).catch((error) => {
+      console.error('Error copying citation:', error);
+    });
+  }
 }
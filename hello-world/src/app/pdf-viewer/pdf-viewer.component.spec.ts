@@ -0,0 +1,33 @@
+import { TestBed } from '@angular/core/testing';
+import { PdfViewerComponent } from './pdf-viewer.component';
+
+describe('PdfViewerComponent', () => {
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [PdfViewerComponent],
+    }).compileComponents();
+  });
+
+  it('should create', () => {
+    const fixture = TestBed.createComponent(PdfViewerComponent);
+    expect(fixture.componentInstance).toBeTruthy();
+  });
+
+  it('should describe a line by column and line number', () => {
+    const fixture = TestBed.createComponent(PdfViewerComponent);
+    const line = { page: 2, x: 60, y: 700, width: 170, height: 8, column: 3, lineNumber: 14 };
+    expect(fixture.componentInstance.describeLine(line)).toEqual('3:14');
+  });
+
+  it('should add the claim number to a line of the claims', () => {
+    const fixture = TestBed.createComponent(PdfViewerComponent);
+    const line = { page: 4, x: 320, y: 400, width: 170, height: 8, column: 4, lineNumber: 36, claim: 2 };
+    expect(fixture.componentInstance.describeLine(line)).toEqual('4:36 (claim 2)');
+  });
+
+  it('should describe a line of a published application by paragraph', () => {
+    const fixture = TestBed.createComponent(PdfViewerComponent);
+    const line = { page: 2, x: 60, y: 700, width: 170, height: 8, paragraph: '0042' };
+    expect(fixture.componentInstance.describeLine(line)).toEqual('¶ [0042]');
+  });
+});
@@ -0,0 +1,207 @@
+import {
+  Component,
+  ElementRef,
+  Input,
+  OnChanges,
+  OnDestroy,
+  SimpleChanges,
+  ViewChild,
+} from '@angular/core';
+import type {
+  PageViewport,
+  PDFDocumentProxy,
+  RenderTask,
+} from 'pdfjs-dist';
+
+// A numbered line of the document, positioned in PDF coordinates
+export interface PdfLine {
+  page: number;
+  x: number;
+  y: number; // Baseline, measured from the bottom of the page
+  width: number;
+  height: number;
+  // Granted patents are numbered by column and line
+  column?: number;
+  lineNumber?: number;
+  // Published applications are numbered by paragraph
+  paragraph?: string | null;
+  // Lines of the claims also carry their claim number
+  claim?: number;
+}
+
+// An area of a page to highlight, in PDF coordinates
+export interface Highlight {
+  page: number;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+// A position on the rendered page, in CSS pixels
+interface Box {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+// Rendering scale of the pages (1 = 72 dpi)
+const scale = 1.5;
+
+// Height used for text without a known font size, in PDF points
+const defaultTextHeight = 10;
+
+@Component({
+  selector: 'app-pdf-viewer',
+  standalone: true,
+  templateUrl: './pdf-viewer.component.html',
+  styleUrls: ['./pdf-viewer.component.css'],
+})
+export class PdfViewerComponent implements OnChanges, OnDestroy {
+  @Input() pdfUrl = ''; // Where to load the PDF from
+  @Input() lines: PdfLine[] = []; // The numbered lines of the document, for looking up a clicked line
+  @Input() highlights: Highlight[] = []; // The matched words to highlight; the viewer jumps to the first one
+
+  @ViewChild('canvas', { static: true }) canvas!: ElementRef<HTMLCanvasElement>;
+  @ViewChild('scroller', { static: true }) scroller!: ElementRef<HTMLElement>;
+
+  pageNumber = 1;
+  pageCount = 0;
+  loading = false;
+  error = '';
+  lineBoxes: { line: PdfLine; box: Box }[] = [];
+  highlightBoxes: Box[] = [];
+  selectedLine: PdfLine | null = null;
+
+  private pdf: PDFDocumentProxy | null = null;
+  private viewport: PageViewport | null = null;
+  private renderTask: RenderTask | null = null;
+
+  async ngOnChanges(changes: SimpleChanges) {
+    if (changes['pdfUrl']) {
+      await this.loadDocument();
+    }
+    if (!this.pdf) {
+      return;
+    }
+
+    if (changes['pdfUrl'] || changes['highlights']) {
+      await this.showPage(this.highlights[0]?.page ?? this.pageNumber);
+    } else if (changes['lines']) {
+      this.updateBoxes();
+    }
+  }
+
+  ngOnDestroy() {
+    this.pdf?.destroy();
+  }
+
+  async loadDocument() {
+    this.pdf?.destroy();
+    this.pdf = null;
+    this.pageCount = 0;
+    this.pageNumber = 1;
+    this.selectedLine = null;
+    this.error = '';
+    if (!this.pdfUrl) {
+      return;
+    }
+
+    this.loading = true;
+    try {
+      // pdf.js is large, so it is only loaded once a document is shown
+      const pdfjsLib = await import('pdfjs-dist');
+      pdfjsLib.GlobalWorkerOptions.workerSrc = 'assets/pdfjs/pdf.worker.min.mjs';
+
+      this.pdf = await pdfjsLib.getDocument(this.pdfUrl).promise;
+      this.pageCount = this.pdf.numPages;
+    } catch (error) {
+      console.error('Error loading PDF:', error);
+      this.error = 'Could not load the PDF';
+    } finally {
+      this.loading = false;
+    }
+  }
+
+  async showPage(pageNumber: number) {
+    if (!this.pdf || pageNumber < 1 || pageNumber > this.pageCount) {
+      return;
+    }
+    this.pageNumber = pageNumber;
+
+    // Only the last requested page is rendered when paging quickly
+    this.renderTask?.cancel();
+
+    const page = await this.pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale });
+    const canvas = this.canvas.nativeElement;
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+
+    this.renderTask = page.render({
+      canvasContext: canvas.getContext('2d')!,
+      viewport,
+    });
+    try {
+      await this.renderTask.promise;
+    } catch (error) {
+      // A cancelled render was replaced by a newer one
+      return;
+    }
+
+    this.viewport = viewport;
+    this.updateBoxes();
+
+    // Scroll the first highlight on the page into view
+    if (this.highlightBoxes.length) {
+      this.scroller.nativeElement.scrollTop = Math.max(
+        0,
+        this.highlightBoxes[0].top - 100
+      );
+    }
+  }
+
+  updateBoxes() {
+    this.lineBoxes = this.lines
+      .filter((line) => line.page === this.pageNumber)
+      .map((line) => ({ line, box: this.toBox(line) }));
+    this.highlightBoxes = this.highlights
+      .filter((highlight) => highlight.page === this.pageNumber)
+      .map((highlight) => this.toBox(highlight));
+  }
+
+  selectLine(line: PdfLine) {
+    this.selectedLine = line;
+  }
+
+  describeLine(line: PdfLine) {
+    const claim = line.claim ? `claim ${line.claim}` : '';
+    if (line.paragraph !== undefined) {
+      // The claims of a published application have no paragraph number
+      return line.paragraph ? `¶ [${line.paragraph}]` : claim;
+    }
+    const location = `${line.column}:${line.lineNumber}`;
+    return claim ? `${location} (${claim})` : location;
+  }
+
+  // Converts an area from PDF coordinates to a box on the rendered page
+  private toBox(area: Highlight | PdfLine): Box {
+    if (!this.viewport) {
+      return { left: 0, top: 0, width: 0, height: 0 };
+    }
+    const height = area.height || defaultTextHeight;
+    const [x1, y1, x2, y2] = this.viewport.convertToViewportRectangle([
+      area.x,
+      area.y,
+      area.x + area.width,
+      area.y + height,
+    ]);
+    return {
+      left: Math.min(x1, x2),
+      top: Math.min(y1, y2),
+      width: Math.abs(x2 - x1),
+      height: Math.abs(y2 - y1),
+    };
+  }
+}
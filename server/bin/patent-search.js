@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+const fs = require('fs')
+const path = require('path')
+const { parseArgs } = require('node:util')
+
+// The parser and the loaders report their progress, which would mix with the
+// results, so it goes to stderr (see `config.log`). The setting is read from
+// the environment when the modules are loaded, in this thread and in the
+// worker threads that parse the documents, so it is set before they are required.
+process.env.PDF_LOG_STREAM = 'stderr'
+
+const pdfSearch = require('../pdfSearch')
+const { getPDFText, getFrontPageLines } = require('../pdfParser')
+const { loadDocument, loadPDFData } = require('../documentLoader')
+const { formatNumberedLine, toCitation } = require('../citations')
+const { isAppError } = require('../errors')
+const { validateSearchOptions } = require('../requestValidation')
+
+// Exit codes: 0 when every query matched, 1 when a query had no match, 2 on an error
+const exitNoMatch = 1
+const exitError = 2
+
+const usage = `Usage:
+  patent-search search <patent-number|file.pdf> [query...] [options]
+  patent-search dump <patent-number|file.pdf> [options]
+
+Search options:
+  -f, --file <path>   Read the queries from a file, one per line
+  -m, --mode <mode>   'sequence' (default) or 'align' to allow missing, extra and reordered words
+  --sections <list>   Only search these sections, e.g. 'summary,description' to skip the background
+  -j, --json          Print the results as JSON instead of a table
+
+Dump options:
+  -s, --stage <stage> 'lines' (default) for the numbered lines, 'raw' for the
+                      text extracted from each page, or 'front' for the front page lines
+  -j, --json          Print the lines as JSON
+
+Exits with 1 if a query has no match and 2 on an error.`
+
+/**
+ * Prints a line of the results to stdout.
+ *
+ * @param {string} text - The line.
+ */
+function print(text) {
+  process.stdout.write(`${text}\n`)
+}
+
+// A reader that stops early, e.g. `patent-search dump 7123456 | head`, closes
+// stdout, which ends the output rather than being an error
+process.stdout.on('error', (error) => {
+  if (error.code !== 'EPIPE') {
+    throw error
+  }
+  process.exit(process.exitCode)
+})
+
+/**
+ * Tells whether a document argument is a local PDF file rather than a patent number.
+ *
+ * @param {string} source - The document argument.
+ * @returns {boolean} True if the argument names a local file.
+ */
+function isLocalFile(source) {
+  return source.toLowerCase().endsWith('.pdf') || fs.existsSync(source)
+}
+
+/**
+ * Loads a parsed, searchable document from a local PDF file or by patent
+ * number. Patent numbers go through the document cache like the server's searches.
+ *
+ * @param {string} source - The path of a PDF file or a patent number.
+ * @returns {Promise<Array>} A promise that resolves with the searchable PDF,
+ *                           the numbered PDF lines and the front page metadata.
+ */
+async function loadSource(source) {
+  if (isLocalFile(source)) {
+    return pdfSearch.createSearchablePDFFromData(await fs.promises.readFile(source))
+  }
+  return loadDocument(source)
+}
+
+/**
+ * Reads the raw bytes of a local PDF file or of a patent's PDF.
+ *
+ * @param {string} source - The path of a PDF file or a patent number.
+ * @returns {Promise<Buffer>} A promise that resolves with the PDF.
+ */
+async function loadSourceData(source) {
+  return isLocalFile(source)
+    ? fs.promises.readFile(source)
+    : loadPDFData(source)
+}
+
+/**
+ * Prints the search results as a table with one row per citation, or a
+ * "no match" row for a query without results.
+ *
+ * @param {Array<Object>} rows - One row per query, with its `searchString` and `searchResults`.
+ */
+function printTable(rows) {
+  const tableRows = []
+  rows.forEach((row) => {
+    if (!row.searchResults.length) {
+      tableRows.push([row.searchString, '(no match)', '', ''])
+    }
+    row.searchResults.forEach((result) => {
+      tableRows.push([
+        row.searchString,
+        result.citation,
+        result.score.toFixed(2),
+        result.text,
+      ])
+    })
+  })
+
+  const header = ['Query', 'Citation', 'Score', 'Matched Text']
+  // The matched text is the last column, so it is left unpadded
+  const widths = header
+    .slice(0, -1)
+    .map((title, i) =>
+      Math.max(title.length, ...tableRows.map((row) => row[i].length))
+    )
+  const formatRow = (row) =>
+    row
+      .map((cell, i) => (i < widths.length ? cell.padEnd(widths[i]) : cell))
+      .join('  ')
+
+  print(formatRow(header))
+  print(formatRow(widths.map((width) => '-'.repeat(width)).concat('-'.repeat(12))))
+  tableRows.forEach((row) => print(formatRow(row)))
+}
+
+/**
+ * Searches a document for one or more queries and prints the citations.
+ *
+ * @param {Array<string>} positionals - The document followed by the queries.
+ * @param {Object} values - The parsed options.
+ * @returns {Promise<number>} A promise that resolves with the exit code.
+ */
+async function search(positionals, values) {
+  const [source, ...queries] = positionals
+  if (values.file) {
+    const queryFile = await fs.promises.readFile(values.file, 'utf8')
+    queries.push(...queryFile.split(/\r?\n/))
+  }
+  const searchStrings = queries.filter((query) => query.trim())
+  if (!source || !searchStrings.length) {
+    throw new Error('A document and at least one query are required')
+  }
+
+  // The same modes and sections as the HTTP API, with the same errors
+  const searchOptions = validateSearchOptions(values)
+
+  const [searchablePDF] = await loadSource(source)
+  const rows = searchStrings.map((searchString) => ({
+    searchString,
+    searchResults: pdfSearch
+      .searchPDF(searchablePDF, searchString, searchOptions)
+      .map(toCitation)
+      .sort((a, b) => b.score - a.score),
+  }))
+
+  if (values.json) {
+    print(JSON.stringify({ document: source, rows }, null, 2))
+  } else {
+    printTable(rows)
+  }
+
+  return rows.every((row) => row.searchResults.length) ? 0 : exitNoMatch
+}
+
+/**
+ * Prints the text of a document at one stage of the parsing pipeline, for
+ * debugging the parser on a document that cites wrongly.
+ *
+ * @param {Array<string>} positionals - The document.
+ * @param {Object} values - The parsed options.
+ * @returns {Promise<number>} A promise that resolves with the exit code.
+ */
+async function dump(positionals, values) {
+  const [source] = positionals
+  if (!source) {
+    throw new Error('A document is required')
+  }
+
+  let lines
+  switch (values.stage) {
+    case 'lines':
+      ;[, lines] = await loadSource(source)
+      break
+    case 'raw':
+      lines = await getPDFText(await loadSourceData(source))
+      break
+    case 'front':
+      lines = getFrontPageLines(await getPDFText(await loadSourceData(source)))
+      break
+    default:
+      throw new Error(`Unknown stage ${values.stage}`)
+  }
+
+  if (values.json) {
+    print(JSON.stringify(lines, null, 2))
+  } else if (values.stage === 'lines') {
+    lines.forEach((line) => print(formatNumberedLine(line)))
+  } else {
+    lines.forEach((entry) =>
+      print(
+        `Page: ${entry.page} Y: ${entry.y.toFixed(2)} X: ${entry.x.toFixed(2)} Text: ${entry.text}`
+      )
+    )
+  }
+
+  return 0
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      file: { type: 'string', short: 'f' },
+      mode: { type: 'string', short: 'm', default: 'sequence' },
+      sections: { type: 'string' },
+      json: { type: 'boolean', short: 'j', default: false },
+      stage: { type: 'string', short: 's', default: 'lines' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  })
+
+  const [command, ...args] = positionals
+  if (values.help || !command) {
+    print(usage)
+    return values.help ? 0 : exitError
+  }
+
+  switch (command) {
+    case 'search':
+      return search(args, values)
+    case 'dump':
+      return dump(args, values)
+  }
+  throw new Error(`Unknown command ${command}`)
+}
+
+main()
+  .then((exitCode) => {
+    process.exitCode = exitCode
+  })
+  .catch((error) => {
+    // Errors with an API error code are reported with it, like the HTTP API does
+    const code = isAppError(error) ? `${error.code}: ` : ''
+    console.error(`${path.basename(process.argv[1])}: ${code}${error.message}`)
+    process.exitCode = exitError
+  })
@@ -0,0 +1,203 @@
+/**
+ * Formats a column:line citation range the way it is written in office action
+ * responses. A range inside one column is written as "col. 4, ll. 12-18" (or
+ * "col. 4, l. 12" for a single line), and a range that runs into the next
+ * column is written as "col. 4, l. 60 – col. 5, l. 3".
+ *
+ * @param {number} startColumn - The column where the cited passage starts.
+ * @param {number} startLine - The line where the cited passage starts.
+ * @param {number} endColumn - The column where the cited passage ends.
+ * @param {number} endLine - The line where the cited passage ends.
+ * @returns {string} The formatted citation.
+ *
+ * @example
+ * formatCitation(4, 12, 4, 18) // 'col. 4, ll. 12-18'
+ * formatCitation(4, 60, 5, 3) // 'col. 4, l. 60 – col. 5, l. 3'
+ */
+function formatCitation(startColumn, startLine, endColumn, endLine) {
+  if (startColumn !== endColumn) {
+    return `col. ${startColumn}, l. ${startLine} – col. ${endColumn}, l. ${endLine}`
+  }
+  if (startLine === endLine) {
+    return `col. ${startColumn}, l. ${startLine}`
+  }
+  return `col. ${startColumn}, ll. ${startLine}-${endLine}`
+}
+
+/**
+ * Formats a paragraph citation for a published application, written as
+ * "¶ [0042]" for a single paragraph and "¶¶ [0042]-[0044]" for a range.
+ *
+ * @param {string} startParagraph - The four-digit paragraph number where the cited passage starts.
+ * @param {string} endParagraph - The four-digit paragraph number where the cited passage ends.
+ * @returns {string} The formatted citation.
+ */
+function formatParagraphCitation(startParagraph, endParagraph) {
+  if (startParagraph === endParagraph) {
+    return `¶ [${startParagraph}]`
+  }
+  return `¶¶ [${startParagraph}]-[${endParagraph}]`
+}
+
+/**
+ * Formats a claim citation, written as "claim 7" for a single claim and
+ * "claims 7-8" for a passage running over several claims.
+ *
+ * @param {number} startClaim - The number of the claim where the cited passage starts.
+ * @param {number} endClaim - The number of the claim where the cited passage ends.
+ * @returns {string} The formatted citation.
+ */
+function formatClaimCitation(startClaim, endClaim) {
+  if (startClaim === endClaim) {
+    return `claim ${startClaim}`
+  }
+  return `claims ${startClaim}-${endClaim}`
+}
+
+/**
+ * Computes the boxes to highlight on the PDF page for a match, one per line of
+ * the matched passage, in PDF coordinates (origin at the bottom left of the page).
+ *
+ * @param {Array<Object>} tokens - The matched tokens, in document order.
+ * @returns {Array<Object>} The `page`, `x`, `y` (baseline), `width` and `height` of each box.
+ */
+function toHighlights(tokens) {
+  let highlights = []
+  tokens.forEach((token) => {
+    const last = highlights[highlights.length - 1]
+    if (last && last.page === token.page && last.y === token.y) {
+      last.width = token.x + token.width - last.x
+      return
+    }
+    highlights.push({
+      page: token.page,
+      x: token.x,
+      y: token.y,
+      width: token.width,
+      height: token.height,
+    })
+  })
+  return highlights
+}
+
+/**
+ * Converts a match returned by `searchPDF` into a structured citation with the
+ * start and end column/line of the matched passage, the matched text, the
+ * similarity score and a ready-made citation string. Matches in a published
+ * application have a start and end paragraph instead of column/line. The
+ * `highlights` locate the passage on the PDF pages for the viewer. Matches in
+ * the claims are also cited by claim, e.g. "col. 10, ll. 5-8 (claim 7)". The
+ * `section` is the section of the specification the match starts in, e.g.
+ * "background" or "description" (null before the first heading). Matches
+ * in text read by OCR are flagged with `ocr` and the lowest recognition
+ * `confidence` (0 to 1) of their words.
+ *
+ * @param {Object} match - A match returned by `searchPDF`.
+ * @param {Array<Object>} match.tokens - The matched tokens, in document order.
+ * @param {number} match.score - The similarity score of the match (0 to 1).
+ * @param {number} [match.coverage] - The share of the search string found in the match (0 to 1), for aligned matches.
+ * @returns {Object} The citation for the match.
+ */
+function toCitation(match) {
+  const first = match.tokens[0]
+  const last = match.tokens[match.tokens.length - 1]
+  // A word split into several parts by the text normalization stage is shown once
+  const text = match.tokens
+    .filter((token, i) => i === 0 || !token.continued)
+    .map((token) => token.word)
+    .join(' ')
+
+  // Passages read by OCR may hold misrecognized words, so report how sure the recognition was
+  const ocrTokens = match.tokens.filter((token) => token.ocr)
+  const ocrFields =
+    ocrTokens.length > 0
+      ? {
+          ocr: true,
+          confidence: Math.min(...ocrTokens.map((token) => token.confidence)),
+        }
+      : {}
+
+  // Passages in the claims are also cited by claim number
+  const claimTokens = match.tokens.filter((token) => token.claim)
+  let claimCitation = null
+  let claimFields = {}
+  if (claimTokens.length > 0) {
+    const startClaim = claimTokens[0].claim
+    const endClaim = claimTokens[claimTokens.length - 1].claim
+    claimCitation = formatClaimCitation(startClaim, endClaim)
+    claimFields = { startClaim, endClaim, claimCitation }
+  }
+
+  // Published applications are cited by paragraph, except for their claims, which have none
+  if (first.paragraph !== undefined) {
+    const paragraphTokens = match.tokens.filter((token) => token.paragraph)
+    const paragraphCitation =
+      paragraphTokens.length > 0
+        ? formatParagraphCitation(
+            paragraphTokens[0].paragraph,
+            paragraphTokens[paragraphTokens.length - 1].paragraph
+          )
+        : null
+    return {
+      startParagraph: first.paragraph,
+      endParagraph: last.paragraph,
+      text,
+      score: match.score,
+      coverage: match.coverage,
+      section: first.section,
+      citation: [paragraphCitation, claimCitation].filter(Boolean).join('; '),
+      highlights: toHighlights(match.tokens),
+      ...claimFields,
+      ...ocrFields,
+    }
+  }
+
+  const lineCitation = formatCitation(
+    first.column,
+    first.line,
+    last.column,
+    last.line
+  )
+  return {
+    startColumn: first.column,
+    startLine: first.line,
+    endColumn: last.column,
+    endLine: last.line,
+    text,
+    score: match.score,
+    coverage: match.coverage,
+    section: first.section,
+    citation: claimCitation
+      ? `${lineCitation} (${claimCitation})`
+      : lineCitation,
+    highlights: toHighlights(match.tokens),
+    ...claimFields,
+    ...ocrFields,
+  }
+}
+
+/**
+ * Formats a numbered line of the document for debugging the parser, with its
+ * position on the page and its column:line (or paragraph) and claim number.
+ *
+ * @param {Object} pdfLine - A numbered line returned by `getPDF`.
+ * @returns {string} The line, e.g.
+ *                   "Page: 3 Y: 712.40 X: 58.10 Column: 1, Line: 5, Text: ...".
+ */
+function formatNumberedLine(pdfLine) {
+  // Published applications are numbered by paragraph instead of column and line
+  const location =
+    pdfLine.paragraph !== undefined
+      ? `Paragraph: ${pdfLine.paragraph}`
+      : `Column: ${pdfLine.column}, Line: ${pdfLine.lineNumber}`
+  const claim = pdfLine.claim ? `, Claim: ${pdfLine.claim}` : ''
+  return `Page: ${pdfLine.page} Y: ${pdfLine.y.toFixed(2)} X: ${pdfLine.x.toFixed(2)} ${location}${claim}, Text: ${pdfLine.text}`
+}
+
+module.exports = {
+  formatCitation,
+  formatClaimCitation,
+  formatNumberedLine,
+  formatParagraphCitation,
+  toCitation,
+}
@@ -0,0 +1,44 @@
+/**
+ * Splits the text of a patent claim into its limitations so each one can be
+ * searched for separately. The preamble (everything up to "comprising:",
+ * "consisting of:" and the like) becomes the first limitation, and the body is
+ * split on semicolons, dropping the "and" that joins the last two limitations.
+ *
+ * @param {string} claimText - The claim, e.g. as pasted from a claim chart.
+ * @returns {Array<string>} The limitations of the claim, in order.
+ *
+ * @example
+ * splitClaimLimitations('1. A device comprising: a housing; a sensor; and a controller.')
+ * // ['A device', 'a housing', 'a sensor', 'a controller']
+ */
+function splitClaimLimitations(claimText) {
+  // Remove a leading claim number such as "1." or "12)"
+  let text = claimText.replace(/\s+/g, ' ').trim().replace(/^\d+\s*[.)]\s*/, '')
+
+  let limitations = []
+
+  // Split off the preamble at the transitional phrase
+  const preambleMatch = text.match(
+    /^(.*?)\s*,?\s*\b(?:comprising|consisting of|consisting essentially of|including|characterized in that)\s*:/i
+  )
+  if (preambleMatch) {
+    limitations.push(preambleMatch[1])
+    text = text.substring(preambleMatch[0].length)
+  }
+
+  text.split(';').forEach((limitation) => {
+    limitations.push(
+      limitation
+        .trim()
+        .replace(/^and\s+/i, '') // "...; and a controller"
+        .replace(/[.;:,]$/, '')
+        .trim()
+    )
+  })
+
+  return limitations.filter((limitation) => limitation.length > 0)
+}
+
+module.exports = {
+  splitClaimLimitations,
+}
@@ -0,0 +1,114 @@
+const { formatCitation, formatClaimCitation } = require('./citations')
+
+// Matches the claims a dependent claim refers to, e.g. "claim 3", "claims 1 or 2"
+// or "any one of claims 1 to 5"
+const claimReferencePattern =
+  /\bclaims?\s+(\d+(?:\s*(?:,|or|and|to|through|-|–)\s*(?:claim\s+)?\d+)*)/i
+
+/**
+ * Finds the claims a claim depends on from the reference in its text, such as
+ * "The method of claim 3" or "according to any one of claims 1 to 5". Ranges
+ * are expanded, so "claims 1 to 3" depends on claims 1, 2 and 3.
+ *
+ * @param {string} claimText - The text of the claim.
+ * @param {number} claimNumber - The number of the claim, as a claim can only depend on earlier claims.
+ * @returns {Array<number>} The numbers of the claims it depends on, or an
+ *                          empty array for an independent claim.
+ *
+ * @example
+ * findClaimDependencies('The method of claim 3, wherein ...', 4) // [3]
+ * findClaimDependencies('The device of any one of claims 1 to 3, ...', 5) // [1, 2, 3]
+ */
+function findClaimDependencies(claimText, claimNumber) {
+  const match = claimText.match(claimReferencePattern)
+  if (!match) {
+    return []
+  }
+
+  let dependencies = []
+  const parts = match[1].match(/\d+|to|through|-|–/gi)
+  parts.forEach((part, i) => {
+    if (!/^\d+$/.test(part)) {
+      return
+    }
+    const number = Number(part)
+    const isRangeEnd = i >= 2 && !/^\d+$/.test(parts[i - 1])
+    if (isRangeEnd) {
+      for (let n = Number(parts[i - 2]) + 1; n <= number; n++) {
+        dependencies.push(n)
+      }
+    } else {
+      dependencies.push(number)
+    }
+  })
+
+  return [...new Set(dependencies)].filter((number) => number < claimNumber)
+}
+
+/**
+ * Collects the numbered lines of the claims section into claims. Each claim
+ * gets its full text (without the claim number), the claims it depends on,
+ * and, for granted patents, the column:line range it is printed at.
+ *
+ * @param {Array<Object>} combinedPDFLines - The numbered lines returned by `getPDF`.
+ * @returns {Array<Object>} The claims in order, each with its `number`, `text`,
+ *                          `dependsOn`, `independent` flag and `citation`.
+ */
+function getClaims(combinedPDFLines) {
+  let claims = []
+  combinedPDFLines.forEach((line) => {
+    if (!line.claim) {
+      return
+    }
+
+    let claim = claims[claims.length - 1]
+    if (!claim || claim.number !== line.claim) {
+      claim = { number: line.claim, lines: [] }
+      claims.push(claim)
+    }
+    claim.lines.push(line)
+  })
+
+  return claims.map(({ number, lines }) => {
+    // The first line may still hold the "What is claimed is:" header before the claim number
+    const firstLine = lines[0].text
+      .substring(lines[0].text.search(/\d{1,3}\s*\.\s/))
+      .replace(/^\d{1,3}\s*\.\s*/, '')
+    const text = [firstLine, ...lines.slice(1).map((line) => line.text)]
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+    const dependsOn = findClaimDependencies(text, number)
+
+    const first = lines[0]
+    const last = lines[lines.length - 1]
+    const location =
+      first.column !== undefined
+        ? {
+            startColumn: first.column,
+            startLine: first.lineNumber,
+            endColumn: last.column,
+            endLine: last.lineNumber,
+            citation: `${formatClaimCitation(number, number)} (${formatCitation(
+              first.column,
+              first.lineNumber,
+              last.column,
+              last.lineNumber
+            )})`,
+          }
+        : { citation: formatClaimCitation(number, number) }
+
+    return {
+      number,
+      text,
+      dependsOn,
+      independent: dependsOn.length === 0,
+      ...location,
+    }
+  })
+}
+
+module.exports = {
+  findClaimDependencies,
+  getClaims,
+}
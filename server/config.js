@@ -0,0 +1,89 @@
+const os = require('os')
+const path = require('path')
+
+/**
+ * Reads a numeric setting from an environment variable, falling back to a
+ * default when the variable is unset or not a number.
+ *
+ * @param {string} name - The name of the environment variable.
+ * @param {number} defaultValue - The value to use when the variable is not set.
+ * @returns {number} The configured value.
+ */
+function numberFromEnv(name, defaultValue) {
+  const value = Number(process.env[name])
+  return process.env[name] && !isNaN(value) ? value : defaultValue
+}
+
+/**
+ * Reads a comma-separated list from an environment variable, falling back to
+ * a default when the variable is unset or empty.
+ *
+ * @param {string} name - The name of the environment variable.
+ * @param {Array<string>} defaultValue - The list to use when the variable is not set.
+ * @returns {Array<string>} The configured list, without blank entries.
+ */
+function listFromEnv(name, defaultValue) {
+  const values = (process.env[name] || '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter((value) => value)
+  return values.length ? values : defaultValue
+}
+
+// Server settings, each of which can be overridden with an environment variable
+module.exports = {
+  cache: {
+    // Directory holding the parsed documents
+    dir: process.env.PDF_CACHE_DIR || path.join(__dirname, 'cache'),
+    // How long a parsed document stays valid before it is parsed again
+    ttlMs: numberFromEnv('PDF_CACHE_TTL_HOURS', 24 * 7) * 60 * 60 * 1000,
+    // Total size of the cache directory before the least recently used documents are evicted
+    maxBytes: numberFromEnv('PDF_CACHE_MAX_MB', 500) * 1024 * 1024,
+    // Parsed documents kept in memory, so repeated searches skip reading their cache files
+    memoryEntries: numberFromEnv('PDF_CACHE_MEMORY_ENTRIES', 8),
+  },
+  ocr: {
+    // Set PDF_OCR_ENABLED=0 to skip pages without a text layer instead of running OCR on them
+    enabled: numberFromEnv('PDF_OCR_ENABLED', 1) !== 0,
+    // Resolution scanned pages are rendered at for OCR
+    dpi: numberFromEnv('PDF_OCR_DPI', 300),
+    // Pages with fewer characters in their text layer are treated as scanned images
+    minPageCharacters: numberFromEnv('PDF_OCR_MIN_PAGE_CHARACTERS', 20),
+  },
+  providers: {
+    // The sources a PDF is looked up in, in order, until one has it: 'local',
+    // 'fixture', 'google' and 'uspto'. Set PDF_PROVIDERS=local to run offline.
+    order: listFromEnv('PDF_PROVIDERS', ['google', 'uspto']),
+    // Directory the local provider reads '<number>.pdf' files from
+    localDir: process.env.PDF_LOCAL_DIR || path.join(__dirname, 'pdfs'),
+    // JSON file mapping document numbers to the PDFs the fixture provider serves
+    fixtureManifest: process.env.PDF_FIXTURE_MANIFEST || '',
+    // Where the USPTO serves the full-text PDF of a patent or publication
+    usptoUrl:
+      process.env.PDF_USPTO_URL ||
+      'https://image-ppubs.uspto.gov/dirsearch-public/print/downloadPdf/{number}',
+  },
+  upstream: {
+    // How long to wait for Google Patents or the USPTO to send a page or PDF before giving up
+    timeoutMs: numberFromEnv('PDF_UPSTREAM_TIMEOUT_SECONDS', 30) * 1000,
+  },
+  workers: {
+    // How many worker threads parse and search documents at once; one core is left for the server
+    size: numberFromEnv('PDF_WORKERS', Math.max(1, os.availableParallelism() - 1)),
+    // How many jobs may wait for a free worker before new ones are turned away
+    maxQueue: numberFromEnv('PDF_WORKER_MAX_QUEUE', 50),
+    // How long a parse or search may run before its worker is stopped
+    jobTimeoutMs: numberFromEnv('PDF_WORKER_JOB_TIMEOUT_SECONDS', 180) * 1000,
+    // The heap size a worker may grow to before it is stopped
+    maxMemoryMb: numberFromEnv('PDF_WORKER_MAX_MEMORY_MB', 1024),
+  },
+  log: {
+    // Where the progress of downloads and parses is written: 'stdout', or 'stderr' to keep
+    // stdout for the results, as the command line tool does
+    stream: process.env.PDF_LOG_STREAM === 'stderr' ? 'stderr' : 'stdout',
+  },
+  search: {
+    // How many documents a multi-document search downloads and parses at once
+    maxParallelDocuments: numberFromEnv('PDF_MAX_PARALLEL_DOCUMENTS', 4),
+  },
+}
@@ -0,0 +1,367 @@
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const path = require('path')
+const config = require('./config')
+const logger = require('./logger')
+
+// Bumped whenever the parsed document format changes, so older entries are parsed again
+const cacheFormatVersion = 7
+
+// The version of every loaded searchable PDF, so a search worker can tell
+// whether the copy it indexed is still the current one
+const documentVersions = new WeakMap()
+
+// The most recently used cache entries by cache key, oldest first, so a
+// document searched repeatedly is not read and parsed from disk every time
+const memoryEntries = new Map()
+
+/**
+ * Hashes the raw bytes of a PDF, to tell apart two parses of a document whose
+ * PDF changed in between.
+ *
+ * @param {Buffer|Uint8Array} pdfData - The raw bytes of the PDF document.
+ * @returns {string} The SHA-256 hash of the bytes.
+ */
+function hashPDFData(pdfData) {
+  return crypto.createHash('sha256').update(pdfData).digest('hex')
+}
+
+/**
+ * Returns the version of a loaded searchable PDF: the cache format version and
+ * the hash of the PDF it was parsed from.
+ *
+ * @param {Array<Object>} searchablePDF - The searchable PDF returned by `loadDocument`.
+ * @returns {string|undefined} The version, or undefined for a searchable PDF
+ *                             that was not loaded through the cache.
+ */
+function getDocumentVersion(searchablePDF) {
+  return documentVersions.get(searchablePDF)
+}
+
+/**
+ * Normalizes a patent number or upload ID into a cache key, so that
+ * "7,123,456", "US 7123456" and "7123456" all share one cache entry.
+ *
+ * @param {string} documentKey - The patent number or upload ID.
+ * @returns {string} The normalized cache key.
+ */
+function toCacheKey(documentKey) {
+  return documentKey
+    .trim()
+    .replace(/^US/i, '')
+    .replace(/[\s,/]/g, '')
+    .replace(/[^A-Za-z0-9_-]/g, '_')
+    .toUpperCase()
+}
+
+/**
+ * Returns the path of the cache file for a document.
+ *
+ * @param {string} documentKey - The patent number or upload ID.
+ * @returns {string} The path of the JSON file the parsed document is stored in.
+ */
+function cacheFilePath(documentKey) {
+  return path.join(config.cache.dir, `${toCacheKey(documentKey)}.json`)
+}
+
+/**
+ * Returns the path the PDF of a document is kept at, next to its cache file.
+ *
+ * @param {string} documentKey - The patent number or upload ID.
+ * @param {string} contentHash - The hash of the PDF, from `hashPDFData`.
+ * @returns {string} The path of the PDF file.
+ */
+function cachedPDFPath(documentKey, contentHash) {
+  return path.join(config.cache.dir, `${toCacheKey(documentKey)}.${contentHash}.pdf`)
+}
+
+/**
+ * Keeps a cache entry in memory as the most recently used one, dropping the
+ * least recently used entries past the configured count.
+ *
+ * @param {string} cacheKey - The cache key of the document, from `toCacheKey`.
+ * @param {Object} entry - The cache entry, as stored on disk.
+ */
+function rememberEntry(cacheKey, entry) {
+  memoryEntries.delete(cacheKey)
+  memoryEntries.set(cacheKey, entry)
+  for (const oldestKey of memoryEntries.keys()) {
+    if (memoryEntries.size <= config.cache.memoryEntries) {
+      break
+    }
+    memoryEntries.delete(oldestKey)
+  }
+}
+
+/**
+ * Reads the entry of a document from the cache, from memory if it was used
+ * recently and from disk otherwise. Entries older than the configured TTL, or
+ * written in an older format, are deleted and treated as missing.
+ *
+ * @param {string} documentKey - The patent number or upload ID.
+ * @returns {Promise<Object|null>} A promise that resolves with the entry, as
+ *                                 stored on disk, or null if the document is not cached.
+ */
+async function readCacheEntry(documentKey) {
+  const cacheKey = toCacheKey(documentKey)
+  const filePath = cacheFilePath(documentKey)
+
+  let entry = memoryEntries.get(cacheKey)
+  if (!entry) {
+    try {
+      entry = JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      // A corrupt entry is dropped and parsed again
+      console.error(`Discarding unreadable cache entry ${filePath}:`, error)
+      await invalidateCachedDocument(documentKey)
+      return null
+    }
+  }
+
+  if (
+    entry.version !== cacheFormatVersion ||
+    Date.now() - entry.createdAt > config.cache.ttlMs
+  ) {
+    await invalidateCachedDocument(documentKey)
+    return null
+  }
+
+  rememberEntry(cacheKey, entry)
+
+  // Touch the file so size-based eviction drops the least recently used entries
+  // first. The file may have been evicted or deleted since it was read, which
+  // does not make the entry read any less valid.
+  const now = new Date()
+  await fs.utimes(filePath, now, now).catch(() => {})
+
+  return entry
+}
+
+/**
+ * Reads a parsed document from the cache, see `readCacheEntry`.
+ *
+ * @param {string} documentKey - The patent number or upload ID.
+ * @returns {Promise<Array|null>} A promise that resolves with the cached
+ *                                searchable PDF, numbered PDF lines, front
+ *                                page metadata and drawing sheets, or null if
+ *                                the document is not cached.
+ */
+async function getCachedDocument(documentKey) {
+  const entry = await readCacheEntry(documentKey)
+  if (!entry) {
+    return null
+  }
+
+  documentVersions.set(
+    entry.searchablePDF,
+    `${cacheFormatVersion}:${entry.contentHash}`
+  )
+
+  return [entry.searchablePDF, entry.lines, entry.metadata, entry.drawingSheets]
+}
+
+/**
+ * Reads the PDF a cached document was parsed from, so it can be shown without
+ * downloading it again.
+ *
+ * @param {string} documentKey - The patent number or upload ID.
+ * @returns {Promise<Buffer|null>} A promise that resolves with the PDF bytes,
+ *                                 or null if the document or its PDF is not cached.
+ */
+async function getCachedPDF(documentKey) {
+  const entry = await readCacheEntry(documentKey)
+  if (!entry) {
+    return null
+  }
+
+  try {
+    return await fs.readFile(cachedPDFPath(documentKey, entry.contentHash))
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Stores a parsed document in the cache and evicts the least recently used
+ * entries if the cache has grown past its size cap. The searchable PDF gets
+ * its version (see `getDocumentVersion`) even if the write fails.
+ *
+ * @param {string} documentKey - The patent number or upload ID.
+ * @param {string} contentHash - The hash of the PDF, from `hashPDFData`.
+ * @param {Array} searchablePDF - The word list returned by `createSearchablePDF`.
+ * @param {Array<Object>} lines - The numbered PDF lines returned by `getPDF`.
+ * @param {Object} metadata - The front page metadata returned by `getPDF`.
+ * @param {Array<Object>} drawingSheets - The drawing sheets returned by `getPDF`.
+ * @returns {Promise<void>}
+ */
+async function setCachedDocument(
+  documentKey,
+  contentHash,
+  searchablePDF,
+  lines,
+  metadata,
+  drawingSheets
+) {
+  documentVersions.set(searchablePDF, `${cacheFormatVersion}:${contentHash}`)
+
+  const filePath = cacheFilePath(documentKey)
+  const entry = {
+    documentKey,
+    version: cacheFormatVersion,
+    contentHash,
+    createdAt: Date.now(),
+    searchablePDF,
+    lines,
+    metadata,
+    drawingSheets,
+  }
+
+  // Kept in memory first, so a failed write cannot leave an older parse there
+  rememberEntry(toCacheKey(documentKey), entry)
+
+  // Write to a temporary file first so a crash never leaves a half-written entry
+  await fs.mkdir(config.cache.dir, { recursive: true })
+  const tempPath = `${filePath}.${process.pid}.tmp`
+  await fs.writeFile(tempPath, JSON.stringify(entry))
+  await fs.rename(tempPath, filePath)
+
+  // A failed eviction only means the cache stays over its cap until the next write
+  await evictCachedDocuments().catch((error) => {
+    console.error('Error evicting cached documents:', error)
+  })
+}
+
+/**
+ * Stores the PDF a document was parsed from next to its cache entry, replacing
+ * the PDF of an earlier version of the document. It is evicted and
+ * invalidated along with the entry.
+ *
+ * @param {string} documentKey - The patent number or upload ID.
+ * @param {string} contentHash - The hash of the PDF, from `hashPDFData`.
+ * @param {Buffer|Uint8Array} pdfData - The raw bytes of the PDF document.
+ * @returns {Promise<void>}
+ */
+async function setCachedPDF(documentKey, contentHash, pdfData) {
+  const filePath = cachedPDFPath(documentKey, contentHash)
+
+  await fs.mkdir(config.cache.dir, { recursive: true })
+  await removeCachedPDFs(documentKey, filePath)
+  const tempPath = `${filePath}.${process.pid}.tmp`
+  await fs.writeFile(tempPath, pdfData)
+  await fs.rename(tempPath, filePath)
+}
+
+/**
+ * Deletes the cached PDFs of a document.
+ *
+ * @param {string} documentKey - The patent number or upload ID.
+ * @param {string} [keptPath] - The path of a PDF to keep.
+ * @returns {Promise<void>}
+ */
+async function removeCachedPDFs(documentKey, keptPath) {
+  const prefix = `${toCacheKey(documentKey)}.`
+  const fileNames = await fs.readdir(config.cache.dir).catch((error) => {
+    if (error.code === 'ENOENT') {
+      return []
+    }
+    throw error
+  })
+
+  for (const fileName of fileNames) {
+    const filePath = path.join(config.cache.dir, fileName)
+    if (fileName.startsWith(prefix) && fileName.endsWith('.pdf') && filePath !== keptPath) {
+      await fs.rm(filePath, { force: true })
+    }
+  }
+}
+
+/**
+ * Removes a document from the cache.
+ *
+ * @param {string} documentKey - The patent number or upload ID.
+ * @returns {Promise<boolean>} A promise that resolves with true if an entry was removed.
+ */
+async function invalidateCachedDocument(documentKey) {
+  memoryEntries.delete(toCacheKey(documentKey))
+  await removeCachedPDFs(documentKey)
+  try {
+    await fs.unlink(cacheFilePath(documentKey))
+    return true
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false
+    }
+    throw error
+  }
+}
+
+/**
+ * Deletes the least recently used cache entries, with their PDFs, until the
+ * cache directory is back under the configured size cap.
+ *
+ * @returns {Promise<void>}
+ */
+async function evictCachedDocuments() {
+  const fileNames = (await fs.readdir(config.cache.dir)).filter(
+    (fileName) => fileName.endsWith('.json') || fileName.endsWith('.pdf')
+  )
+
+  const files = await Promise.all(
+    fileNames.map(async (fileName) => {
+      const filePath = path.join(config.cache.dir, fileName)
+      const stats = await fs.stat(filePath)
+      return {
+        cacheKey: fileName.slice(0, fileName.indexOf('.')),
+        filePath,
+        size: stats.size,
+        lastUsed: stats.mtimeMs,
+      }
+    })
+  )
+
+  // The entry and the PDF of a document are evicted together
+  const entries = new Map()
+  for (const file of files) {
+    const entry = entries.get(file.cacheKey) || {
+      cacheKey: file.cacheKey,
+      filePaths: [],
+      size: 0,
+      lastUsed: 0,
+    }
+    entry.filePaths.push(file.filePath)
+    entry.size += file.size
+    entry.lastUsed = Math.max(entry.lastUsed, file.lastUsed)
+    entries.set(file.cacheKey, entry)
+  }
+
+  let totalSize = files.reduce((sum, file) => sum + file.size, 0)
+  const leastRecentlyUsed = [...entries.values()].sort((a, b) => a.lastUsed - b.lastUsed)
+
+  for (const entry of leastRecentlyUsed) {
+    if (totalSize <= config.cache.maxBytes) {
+      break
+    }
+    logger.log(`Evicting ${entry.cacheKey} from the document cache`)
+    memoryEntries.delete(entry.cacheKey)
+    for (const filePath of entry.filePaths) {
+      await fs.unlink(filePath)
+    }
+    totalSize -= entry.size
+  }
+}
+
+module.exports = {
+  getCachedDocument,
+  getCachedPDF,
+  getDocumentVersion,
+  hashPDFData,
+  invalidateCachedDocument,
+  setCachedDocument,
+  setCachedPDF,
+}
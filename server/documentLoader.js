@@ -0,0 +1,262 @@
+const { fetchPDF } = require('./providers')
+const { parsePDF } = require('./pdfJobs')
+const uploadStore = require('./uploadStore')
+const documentCache = require('./documentCache')
+const config = require('./config')
+const { createError, isAppError } = require('./errors')
+const { toDocumentKey } = require('./requestValidation')
+const logger = require('./logger')
+
+// The parses in progress by document key, so parallel requests for the same
+// document share one download and parse
+const pendingParses = new Map()
+
+/**
+ * Reads an uploaded PDF.
+ *
+ * @param {string} documentId - The ID of the upload.
+ * @returns {Promise<Buffer>} A promise that resolves with the PDF bytes.
+ * @throws {Error} A DOCUMENT_NOT_FOUND error if the upload ID is unknown.
+ */
+async function readUpload(documentId) {
+  const pdfData = await uploadStore.readUpload(documentId)
+  if (!pdfData) {
+    throw createError('DOCUMENT_NOT_FOUND', `Unknown document ID ${documentId}`)
+  }
+  return pdfData
+}
+
+/**
+ * Loads a parsed, searchable document by patent number or upload ID. Parsed
+ * documents are cached on disk, so repeated searches against the same patent
+ * skip the download and the whole parsing pipeline, and a document requested
+ * again while it is being parsed waits for the same parse.
+ *
+ * @param {string} documentKey - The patent number (excluding the "US" prefix)
+ *                               or the ID of an uploaded PDF.
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Ignore any cached copy and parse the document again.
+ * @param {Function} [options.onProgress] - Called with the progress of the download and the parse,
+ *        e.g. `{ stage: 'parsing', page: 3, pageCount: 20 }`.
+ * @param {AbortSignal} [options.signal] - Cancels the download and the parse when aborted.
+ * @returns {Promise<Array>} A promise that resolves with the searchable PDF,
+ *                           the numbered PDF lines, the front page metadata and the drawing sheets.
+ * @throws {Error} An error with one of the API error codes if the document
+ *                 cannot be found or parsed, e.g. DOCUMENT_NOT_FOUND for an unknown upload ID.
+ */
+async function loadDocument(
+  documentKey,
+  { refresh = false, onProgress, signal } = {}
+) {
+  documentKey = toDocumentKey(documentKey)
+
+  if (!refresh) {
+    const cachedDocument = await documentCache.getCachedDocument(documentKey)
+    if (cachedDocument) {
+      logger.log(`Using cached copy of ${documentKey}`)
+      onProgress?.({ stage: 'cached' })
+      return cachedDocument
+    }
+  }
+
+  return joinParse(documentKey, { onProgress, signal })
+}
+
+/**
+ * Downloads (or reads the upload of) a document, parses it on a worker thread
+ * and caches the result.
+ *
+ * @param {string} documentKey - The normalized patent number or upload ID.
+ * @param {Object} options - The `onProgress` callback and cancellation `signal` of the parse.
+ * @returns {Promise<Array>} A promise that resolves with the searchable PDF,
+ *                           the numbered PDF lines, the front page metadata and the drawing sheets.
+ */
+async function parseDocument(documentKey, { onProgress, signal }) {
+  // Search a previously uploaded PDF instead of fetching one by number
+  const pdfData = uploadStore.isUploadId(documentKey)
+    ? await readUpload(documentKey)
+    : await fetchPDF(documentKey, { onProgress, signal })
+
+  const parsedDocument = await parsePDF(pdfData, { onProgress, signal })
+  const contentHash = documentCache.hashPDFData(pdfData)
+
+  // The parse succeeded, so a failed cache write should not fail the search.
+  // A downloaded PDF is kept too, so showing it does not download it again.
+  if (!uploadStore.isUploadId(documentKey)) {
+    await documentCache
+      .setCachedPDF(documentKey, contentHash, pdfData)
+      .catch((error) => {
+        console.error(`Error caching the PDF of ${documentKey}:`, error)
+      })
+  }
+  await documentCache
+    .setCachedDocument(documentKey, contentHash, ...parsedDocument)
+    .catch((error) => {
+      console.error(`Error caching ${documentKey}:`, error)
+    })
+
+  return parsedDocument
+}
+
+/**
+ * Waits for the parse of a document, starting one unless the document is
+ * already being parsed for another request. Every request that joins a parse
+ * gets its progress, and the parse is only cancelled once every request
+ * waiting for it has been cancelled.
+ *
+ * @param {string} documentKey - The normalized patent number or upload ID.
+ * @param {Object} options
+ * @param {Function} [options.onProgress] - Called with the progress of the parse.
+ * @param {AbortSignal} [options.signal] - Stops waiting for the parse when aborted.
+ * @returns {Promise<Array>} A promise that resolves with the parsed document.
+ */
+function joinParse(documentKey, { onProgress, signal }) {
+  // A request cancelled during the cache lookup must not start a parse nobody waits for
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason)
+  }
+
+  let parse = pendingParses.get(documentKey)
+  if (parse) {
+    logger.log(`Joining the parse of ${documentKey} already in progress`)
+  } else {
+    parse = {
+      listeners: new Set(),
+      waiting: 0,
+      controller: new AbortController(),
+    }
+    const parseOptions = {
+      onProgress: (progress) =>
+        parse.listeners.forEach((listener) => listener(progress)),
+      signal: parse.controller.signal,
+    }
+    parse.promise = parseDocument(documentKey, parseOptions).finally(() => {
+      if (pendingParses.get(documentKey) === parse) {
+        pendingParses.delete(documentKey)
+      }
+    })
+    // The waiters handle the outcome; a parse whose waiters have all left must
+    // not fail the process with an unhandled rejection
+    parse.promise.catch(() => {})
+    pendingParses.set(documentKey, parse)
+  }
+
+  if (onProgress) {
+    parse.listeners.add(onProgress)
+  }
+  parse.waiting++
+
+  return new Promise((resolve, reject) => {
+    let done = false
+    function leave() {
+      done = true
+      parse.listeners.delete(onProgress)
+      parse.waiting--
+      signal?.removeEventListener('abort', onAbort)
+    }
+    function onAbort() {
+      if (done) {
+        return
+      }
+      leave()
+      reject(signal.reason)
+
+      // Nobody is waiting for the parse any more, so a new request starts a new one
+      if (parse.waiting === 0) {
+        pendingParses.delete(documentKey)
+        parse.controller.abort(signal.reason)
+      }
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+    parse.promise.then(
+      (parsedDocument) => {
+        if (!done) {
+          leave()
+          resolve(parsedDocument)
+        }
+      },
+      (error) => {
+        if (!done) {
+          leave()
+          reject(error)
+        }
+      }
+    )
+  })
+}
+
+/**
+ * Loads several documents, with at most `config.search.maxParallelDocuments`
+ * of them being downloaded and parsed at the same time. A document that fails
+ * to load is reported with its error instead of failing the whole batch.
+ *
+ * @param {Array<string>} documentKeys - The patent numbers or upload IDs to load.
+ * @returns {Promise<Array<Object>>} A promise that resolves with one result per
+ *                                   document, in the order given, each holding
+ *                                   the `documentNumber` and either the parsed
+ *                                   `document` or an `error` and its `code`.
+ */
+async function loadDocuments(documentKeys) {
+  const results = new Array(documentKeys.length)
+  let nextIndex = 0
+
+  // Each worker keeps taking the next document until none are left
+  async function worker() {
+    while (nextIndex < documentKeys.length) {
+      const index = nextIndex++
+      const documentNumber = documentKeys[index]
+      try {
+        const document = await loadDocument(documentNumber)
+        results[index] = { documentNumber, document }
+      } catch (error) {
+        console.error(`Error loading ${documentNumber}:`, error.message)
+        results[index] = {
+          documentNumber,
+          error: error.message,
+          // Lets the app show a readable message for the known failures
+          code: isAppError(error) ? error.code : 'INTERNAL_ERROR',
+        }
+      }
+    }
+  }
+
+  const workerCount = Math.min(
+    config.search.maxParallelDocuments,
+    documentKeys.length
+  )
+  await Promise.all(Array.from({ length: workerCount }, worker))
+
+  return results
+}
+
+/**
+ * Loads the raw bytes of a document's PDF by patent number or upload ID, so
+ * the app can display the PDF it searched. The PDF of a parsed document is
+ * read from the cache; it is only downloaded if it is not cached.
+ *
+ * @param {string} documentKey - The patent number (excluding the "US" prefix)
+ *                               or the ID of an uploaded PDF.
+ * @returns {Promise<Buffer>} A promise that resolves with the PDF bytes.
+ * @throws {Error} A DOCUMENT_NOT_FOUND or PDF_NOT_FOUND error if there is no PDF of the document.
+ */
+async function loadPDFData(documentKey) {
+  documentKey = toDocumentKey(documentKey)
+
+  if (uploadStore.isUploadId(documentKey)) {
+    return readUpload(documentKey)
+  }
+
+  const cachedPDF = await documentCache.getCachedPDF(documentKey)
+  if (cachedPDF) {
+    logger.log(`Using cached PDF of ${documentKey}`)
+    return cachedPDF
+  }
+  return fetchPDF(documentKey)
+}
+
+module.exports = {
+  loadDocument,
+  loadDocuments,
+  loadPDFData,
+}
@@ -0,0 +1,90 @@
+// The error codes the API responds with, and the HTTP status of each
+const errorStatuses = {
+  // The request body or document number is malformed
+  INVALID_REQUEST: 400,
+  // No patent or upload exists with the requested number or ID
+  DOCUMENT_NOT_FOUND: 404,
+  // The patent exists, but no PDF of it could be found
+  PDF_NOT_FOUND: 404,
+  // The PDF was read, but its pages do not have a recognized patent layout
+  LAYOUT_UNRECOGNIZED: 422,
+  // The PDF has no text, and OCR could not read its pages
+  NO_TEXT_LAYER: 422,
+  // Google Patents or the USPTO did not respond in time
+  UPSTREAM_TIMEOUT: 504,
+  // Parsing or searching the document took longer than a worker may run
+  JOB_TIMEOUT: 504,
+  // Parsing the document needed more memory than a worker may use
+  DOCUMENT_TOO_LARGE: 422,
+  // Too many documents are waiting to be parsed or searched
+  SERVER_BUSY: 503,
+}
+
+/**
+ * Creates an error with one of the API error codes, so a route can respond
+ * with a specific status and code instead of a generic 500.
+ *
+ * @param {string} code - One of the codes in `errorStatuses`.
+ * @param {string} message - A description of the error that can be shown to the user.
+ * @returns {Error} The error, with its `code` set.
+ */
+function createError(code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Tells whether an error was created with one of the API error codes. System
+ * errors also have a `code` (e.g. 'ENOENT'), so the code must be a known one.
+ *
+ * @param {Error} error - The error to check.
+ * @returns {boolean} True if the error has an API error code.
+ */
+function isAppError(error) {
+  return Boolean(error && errorStatuses[error.code])
+}
+
+/**
+ * Converts an error into the HTTP status and `{ code, message }` body the API
+ * responds with. Errors without an API error code are logged and become a 500
+ * with the code INTERNAL_ERROR and the fallback message.
+ *
+ * @param {Error} error - The error to convert.
+ * @param {string} fallbackMessage - The message for unexpected errors, e.g. 'Error extracting text from PDF'.
+ * @returns {Object} The `status` and the `error` body.
+ */
+function toErrorResponse(error, fallbackMessage) {
+  if (isAppError(error)) {
+    console.log(`${error.code}: ${error.message}`)
+    return {
+      status: errorStatuses[error.code],
+      error: { code: error.code, message: error.message },
+    }
+  }
+
+  console.error(`${fallbackMessage}:`, error)
+  return {
+    status: 500,
+    error: { code: 'INTERNAL_ERROR', message: fallbackMessage },
+  }
+}
+
+/**
+ * Sends an error as a JSON response of the form `{ error: { code, message } }`.
+ *
+ * @param {Object} res - The Express response.
+ * @param {Error} error - The error to send.
+ * @param {string} fallbackMessage - The message for unexpected errors, see `toErrorResponse`.
+ */
+function sendError(res, error, fallbackMessage) {
+  const { status, error: body } = toErrorResponse(error, fallbackMessage)
+  res.status(status).json({ error: body })
+}
+
+module.exports = {
+  createError,
+  isAppError,
+  sendError,
+  toErrorResponse,
+}
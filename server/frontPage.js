@@ -0,0 +1,180 @@
+// Matches the INID code that starts each field of the front page, e.g. "(54)" for the title
+const inidCodePattern = /^\s*\((\d{2})\)\s*/
+
+// The INID codes of the fields that are read from the front page
+const knownInidCodes = new Set([
+  '10', '12', '19', '21', '22', '30', '43', '45', '51', '52', '54', '56', '57',
+  '58', '60', '63', '65', '71', '72', '73', '75', '76',
+])
+
+// Matches a date as printed on the front page, e.g. "Jan. 1, 2008" or "June 3, 2003"
+const datePattern =
+  /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/g
+
+const monthNumbers = {
+  Jan: 1, Feb: 2, Mar: 3, Apr: 4, May: 5, Jun: 6,
+  Jul: 7, Aug: 8, Sep: 9, Oct: 10, Nov: 11, Dec: 12,
+}
+
+// Matches a CPC or IPC symbol, e.g. "G06F 3/0488" or "H04L 29/06"
+const classificationPattern = /\b[A-H]\d{2}[A-Z]\s*\d{1,4}\/\d{2,6}\b/g
+
+// Matches a cited patent document, e.g. "5,123,456 A 6/1992 Smith" or
+// "EP 1234567 A1 3/2004". The name ends at the end of its line and never takes
+// in a two-letter country code, which starts the next document.
+const citedDocumentPattern =
+  /(?:\b([A-Z]{2})\s+)?(\d{1,2},\d{3},\d{3}|\d{4}\/\d{7}|[\d-]{5,})\s+(?:([A-Z]\d?)\s+)?\*?\s*(\d{1,2})\/(\d{4})(?:[ \t]+((?![A-Z]{2}\b)[A-Z][A-Za-z'.-]*(?:[ \t]+(?:et al\.?|(?![A-Z]{2}\b)[A-Z][A-Za-z'.-]*))*))?/g
+
+// Matches the headings the references cited are listed under
+const citedDocumentHeadingPattern =
+  /\b(?:U\.\s?S\.\s+PATENT DOCUMENTS|FOREIGN PATENT DOCUMENTS|OTHER PUBLICATIONS)\b/
+
+/**
+ * Converts every date in a front page field to an ISO date.
+ *
+ * @param {string} text - The text of the field.
+ * @returns {Array<string>} The dates in the text, e.g. ['2008-01-01'].
+ */
+function parseDates(text) {
+  return [...text.matchAll(datePattern)].map(([, month, day, year]) => {
+    const monthNumber = String(monthNumbers[month]).padStart(2, '0')
+    return `${year}-${monthNumber}-${day.padStart(2, '0')}`
+  })
+}
+
+/**
+ * Removes the label a field is printed with, e.g. "Inventors:" or "Filed:".
+ *
+ * @param {string} text - The text of the field.
+ * @returns {string} The value of the field.
+ */
+function stripLabel(text) {
+  return text.replace(/^[^:]{0,40}:\s*/, '').trim()
+}
+
+/**
+ * Splits the lines of the front page into its fields by INID code. A field
+ * runs from the line starting with its code to the next line starting with a
+ * code, and a code that appears twice (e.g. "(56) References Cited" continued
+ * on the next page) adds to the same field.
+ *
+ * @param {Array<Object>} frontPageLines - The front page lines, in reading order.
+ * @returns {Map<string, Array<string>>} The lines of each field by its INID code.
+ */
+function splitFields(frontPageLines) {
+  const fields = new Map()
+  let code = null
+
+  frontPageLines.forEach((line) => {
+    const match = line.text.match(inidCodePattern)
+    let text = line.text
+    if (match && knownInidCodes.has(match[1])) {
+      code = match[1]
+      text = text.substring(match[0].length)
+    }
+    if (code && text.trim()) {
+      fields.set(code, [...(fields.get(code) || []), text.trim()])
+    }
+  })
+
+  return fields
+}
+
+/**
+ * Parses the names of the inventors from the inventor field, e.g.
+ * "Inventors: John A. Smith, Austin, TX (US); Jane Doe, Dallas, TX (US)".
+ *
+ * @param {string} text - The text of the inventor field.
+ * @returns {Array<string>} The names of the inventors.
+ */
+function parseInventors(text) {
+  return stripLabel(text)
+    .split(';')
+    .map((inventor) => inventor.split(',')[0].trim())
+    .filter((name) => name.length > 0)
+}
+
+/**
+ * Parses the patent documents listed under "References Cited". US documents
+ * have no country code; foreign documents start with one. The list is split
+ * at its headings ("U.S. PATENT DOCUMENTS", "FOREIGN PATENT DOCUMENTS") first,
+ * so a heading is never read as part of a name.
+ *
+ * @param {Array<string>} lines - The lines of the references cited field.
+ * @returns {Array<Object>} The cited documents, each with its `country`,
+ *                          `number`, `kind`, `date` (year and month) and the
+ *                          `name` of the first inventor or applicant.
+ */
+function parseCitedDocuments(lines) {
+  const text = lines.join('\n')
+  // The non-patent literature has no document numbers to parse
+  const patentText = text.split(/OTHER PUBLICATIONS/i)[0]
+
+  return patentText
+    .split(citedDocumentHeadingPattern)
+    .flatMap((part) => [...part.matchAll(citedDocumentPattern)])
+    .map(([, country, number, kind, month, year, name]) => ({
+      country: country || 'US',
+      number: number.replace(/,/g, ''),
+      kind: kind || null,
+      date: `${year}-${month.padStart(2, '0')}`,
+      name: name || null,
+    }))
+}
+
+/**
+ * Parses the bibliographic data printed on the front page of a US patent or
+ * published application. Every field is looked up by the INID code it is
+ * printed with, so fields that are missing (e.g. on old patents that predate
+ * INID codes) are left null or empty.
+ *
+ * @param {Array<Object>} frontPageLines - The front page lines, in reading order, from `getFrontPageLines`.
+ * @returns {Object} The metadata of the document, with dates as ISO dates.
+ */
+function parseFrontPage(frontPageLines) {
+  const fields = splitFields(frontPageLines)
+  const fieldLines = (code) => fields.get(code) || []
+  const field = (...codes) =>
+    codes.map((code) => fieldLines(code).join(' ')).find((text) => text) || ''
+
+  const numberMatch = field('10').match(
+    /(US\s*)?((?:RE)?[\d,]{6,}|\d{4}\/\d{7})\s*([A-Z]\d)?/
+  )
+
+  // The earliest of the filing date and the dates of the applications it claims priority to
+  const filingDate = parseDates(field('22'))[0] || null
+  const priorityDates = [
+    ...parseDates(field('30')),
+    ...parseDates(field('60')),
+    ...parseDates(field('63')),
+  ]
+  const earliestPriorityDate =
+    [filingDate, ...priorityDates].filter(Boolean).sort()[0] || null
+
+  const applicationNumberMatch = field('21').match(/\d{2}\/[\d,]+/)
+
+  return {
+    documentNumber: numberMatch ? numberMatch[2].replace(/,/g, '') : null,
+    kind: numberMatch && numberMatch[3] ? numberMatch[3] : null,
+    title: field('54') || null,
+    inventors: parseInventors(field('72', '75', '76')),
+    applicant: stripLabel(field('71')) || null,
+    assignee: stripLabel(field('73')) || null,
+    applicationNumber: applicationNumberMatch
+      ? applicationNumberMatch[0].replace(/,/g, '')
+      : null,
+    filingDate,
+    priorityDates,
+    earliestPriorityDate,
+    publicationDate: parseDates(field('43'))[0] || null,
+    issueDate: parseDates(field('45'))[0] || null,
+    cpcClasses: [...new Set(field('52').match(classificationPattern) || [])],
+    ipcClasses: [...new Set(field('51').match(classificationPattern) || [])],
+    referencesCited: parseCitedDocuments(fieldLines('56')),
+    abstract: field('57').replace(/^ABSTRACT\s*/i, '') || null,
+  }
+}
+
+module.exports = {
+  parseFrontPage,
+}
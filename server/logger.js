@@ -0,0 +1,17 @@
+const util = require('util')
+const config = require('./config')
+
+/**
+ * Writes a progress message of the parsing and loading modules, e.g. the
+ * page being parsed or the provider a PDF came from, to the stream set in
+ * `config.log.stream`.
+ *
+ * @param {...*} args - The message, formatted like the arguments of `console.log`.
+ */
+function log(...args) {
+  process[config.log.stream].write(`${util.format(...args)}\n`)
+}
+
+module.exports = {
+  log,
+}
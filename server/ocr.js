@@ -0,0 +1,169 @@
+const config = require('./config')
+const logger = require('./logger')
+
+// The OCR dependencies, loaded when the first scanned page is found. Null once they failed to load.
+let ocrModules
+
+/**
+ * Loads the modules OCR needs: node-canvas to render pages, and tesseract.js
+ * with its bundled English language data, so recognition never goes to the
+ * network. They are optional dependencies, and `canvas` is a native module
+ * that may fail to build, so a server without them still parses documents
+ * that have a text layer.
+ *
+ * @returns {Object|null} The loaded modules, or null if OCR is unavailable.
+ */
+function loadOCRModules() {
+  if (ocrModules === undefined) {
+    try {
+      ocrModules = {
+        createCanvas: require('canvas').createCanvas,
+        createWorker: require('tesseract.js').createWorker,
+        languageData: require('@tesseract.js-data/eng'),
+      }
+    } catch (error) {
+      console.error('OCR is unavailable:', error.message)
+      ocrModules = null
+    }
+  }
+  return ocrModules
+}
+
+/**
+ * Checks whether a page has a usable text layer. Scanned pages have no text
+ * items at all, or only a few stray characters such as a page number.
+ *
+ * @param {Array<Object>} textItems - The text items of the page, from PDF.js `getTextContent`.
+ * @returns {boolean} True if the page has enough text to skip OCR.
+ */
+function hasTextLayer(textItems) {
+  const characterCount = textItems.reduce(
+    (count, item) => count + item.str.trim().length,
+    0
+  )
+  return characterCount >= config.ocr.minPageCharacters
+}
+
+/**
+ * Converts the words recognized on a rendered page into text entries like the
+ * ones `extractTextFromPDF` reads from a text layer, in PDF coordinates. Like
+ * the items of a text layer, each entry holds a run of words printed close
+ * together, so a header such as "Sheet 1 of 2" or a label such as "FIG. 3" is
+ * read as one entry, and a wide gap (e.g. the gutter between two columns)
+ * starts a new one. The entries of one recognized line all get the
+ * y-coordinate of the line's baseline, so they are combined into one line
+ * just like text layer items.
+ *
+ * @param {Object} result - The result of tesseract.js `recognize`.
+ * @param {Object} viewport - The PDF.js viewport the page was rendered with.
+ * @param {number} pageNum - The number of the page.
+ * @returns {Array<Object>} The text entries, each marked with `ocr` and the
+ *                          `confidence` (0 to 1) of its least confidently recognized word.
+ */
+function toTextEntries(result, viewport, pageNum) {
+  let entries = []
+
+  result.blocks.forEach((block) => {
+    block.paragraphs.forEach((paragraph) => {
+      paragraph.lines.forEach((line) => {
+        const baseline = (line.baseline.y0 + line.baseline.y1) / 2
+        const [, y] = viewport.convertToPdfPoint(line.bbox.x0, baseline)
+        const [, top] = viewport.convertToPdfPoint(line.bbox.x0, line.bbox.y0)
+
+        // Split the line where the space between two words is wider than the line is tall
+        const lineHeight = baseline - line.bbox.y0
+        let runs = []
+        line.words.forEach((word, i) => {
+          const previousWord = line.words[i - 1]
+          if (!previousWord || word.bbox.x0 - previousWord.bbox.x1 > lineHeight) {
+            runs.push([])
+          }
+          runs[runs.length - 1].push(word)
+        })
+
+        runs.forEach((words) => {
+          const [left] = viewport.convertToPdfPoint(words[0].bbox.x0, baseline)
+          const [right] = viewport.convertToPdfPoint(
+            words[words.length - 1].bbox.x1,
+            baseline
+          )
+          entries.push({
+            page: pageNum,
+            x: left,
+            y: Math.round(y * 100) / 100,
+            width: right - left,
+            height: top - y,
+            text: words.map((word) => word.text).join(' '),
+            ocr: true,
+            confidence: Math.min(...words.map((word) => word.confidence)) / 100,
+          })
+        })
+      })
+    })
+  })
+
+  return entries
+}
+
+/**
+ * Creates a recognizer for the scanned pages of one document. The tesseract.js
+ * worker is only started when the first page is recognized, and is shared by
+ * all pages of the document until `terminate` is called.
+ *
+ * @returns {Object|null} An object with `recognizePage(page, pageNum)`, which
+ *                        resolves with the text entries of a page, and
+ *                        `terminate()`, or null if OCR is disabled.
+ */
+function createPageRecognizer() {
+  if (!config.ocr.enabled) {
+    return null
+  }
+
+  let workerPromise = null
+
+  async function recognizePage(page, pageNum) {
+    // Without OCR a scanned page is read as having no text
+    const modules = loadOCRModules()
+    if (!modules) {
+      return []
+    }
+
+    if (!workerPromise) {
+      const { code, langPath, gzip } = modules.languageData
+      workerPromise = modules.createWorker(code, 1, {
+        langPath,
+        gzip,
+        cacheMethod: 'none',
+      })
+    }
+    const worker = await workerPromise
+
+    // Render the page at scanning resolution, since tesseract needs around 300 dpi
+    const viewport = page.getViewport({ scale: config.ocr.dpi / 72 })
+    const canvas = modules.createCanvas(
+      Math.ceil(viewport.width),
+      Math.ceil(viewport.height)
+    )
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport })
+      .promise
+
+    logger.log(`Running OCR on page ${pageNum}`)
+    const { data } = await worker.recognize(canvas.toBuffer('image/png'))
+    return toTextEntries(data, viewport, pageNum)
+  }
+
+  async function terminate() {
+    // A worker that failed to start has already reported its error to recognizePage
+    const worker = workerPromise && (await workerPromise.catch(() => null))
+    if (worker) {
+      await worker.terminate()
+    }
+  }
+
+  return { recognizePage, terminate }
+}
+
+module.exports = {
+  createPageRecognizer,
+  hasTextLayer,
+}
@@ -0,0 +1,80 @@
+const path = require('path')
+const config = require('./config')
+const { getDocumentVersion } = require('./documentCache')
+const { createWorkerPool } = require('./workerPool')
+
+// The worker threads that parse and search documents, started on first use
+let pool = null
+
+/**
+ * Returns the worker pool, starting it on first use.
+ *
+ * @returns {Object} The pool created by `createWorkerPool`.
+ */
+function getPool() {
+  if (!pool) {
+    pool = createWorkerPool(path.join(__dirname, 'pdfWorker.js'), config.workers)
+  }
+  return pool
+}
+
+/**
+ * Parses the raw bytes of a PDF on a worker thread, so a large patent does
+ * not block the requests of other users.
+ *
+ * @param {Buffer|Uint8Array} pdfData - The raw bytes of the PDF document.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the progress of each page.
+ * @param {AbortSignal} [options.signal] - Cancels the parse when aborted.
+ * @returns {Promise<Array>} A promise that resolves with the searchable PDF,
+ *                           the numbered PDF lines, the front page metadata and the drawing sheets.
+ */
+function parsePDF(pdfData, { onProgress, signal } = {}) {
+  // The bytes are moved to the worker, so they are copied first to leave the caller's buffer intact
+  const data = new Uint8Array(pdfData)
+  return getPool().run(
+    'parse',
+    { pdfData: data },
+    { onProgress, signal, transferList: [data.buffer] }
+  )
+}
+
+/**
+ * Searches a document for one or more search strings on a worker thread. The
+ * job first names the document by its key and version (see
+ * `getDocumentVersion`), so a worker that already indexed this version
+ * searches its own copy; the searchable PDF is only copied to the worker if it
+ * has none. A document without a version is always sent.
+ *
+ * @param {string} documentKey - The patent number or upload ID of the document,
+ *                               so a worker can reuse the index it built for it.
+ * @param {Array<Object>} searchablePDF - The searchable PDF of the document.
+ * @param {Array<string>} searchStrings - The search strings.
+ * @param {Object} searchOptions - The options passed to `searchPDF`.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the `indexing` and `searching` progress.
+ * @param {AbortSignal} [options.signal] - Cancels the search when aborted.
+ * @returns {Promise<Array<Array<Object>>>} A promise that resolves with the
+ *                                         matches of each search string, as returned by `searchPDF`.
+ */
+async function searchPDFs(documentKey, searchablePDF, searchStrings, searchOptions, options = {}) {
+  const job = {
+    documentKey,
+    documentVersion: getDocumentVersion(searchablePDF),
+    searchStrings,
+    searchOptions,
+  }
+
+  if (job.documentVersion) {
+    const matches = await getPool().run('search', job, options)
+    if (matches) {
+      return matches
+    }
+  }
+  return getPool().run('search', { ...job, searchablePDF }, options)
+}
+
+module.exports = {
+  parsePDF,
+  searchPDFs,
+}
@@ -1,141 +1,265 @@
+const ocr = require("./ocr");
+const { parseFrontPage } = require("./frontPage");
+const { createError } = require("./errors");
+const config = require("./config");
+const logger = require("./logger");
+
 /**
  * Asynchronously extracts text from a PDF document using PDF.js.
  * This function iterates through each page of the PDF, retrieves the text content,
- * and logs or collects the text along with its positioning information (x, y coordinates, width).
+ * and logs or collects the text along with its positioning information (x, y coordinates, width, height).
+ * Scanned pages without a text layer are rendered and run through OCR instead; their
+ * entries are marked with `ocr` and the recognition `confidence` of each word.
  *
  * @param {Object} pdf - The PDF document object obtained from PDF.js.
- * @param {boolean} [log=false] - An optional flag to enable logging of the extracted text.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with `{ stage: 'parsing', page, pageCount }` before each page is read.
+ * @param {AbortSignal} [options.signal] - Stops the extraction before the next page when aborted.
  * @returns {Promise<Array<Object>>} - A promise that resolves to an array of objects containing the extracted text and its positioning information.
  */
-async function extractTextFromPDF(pdf, log = false) {
+async function extractTextFromPDF(pdf, { onProgress, signal } = {}) {
   // Retrieve the total number of pages in the PDF
   const numPages = pdf.numPages;
-  console.log(`The PDF has ${numPages} page(s).`);
+  logger.log(`The PDF has ${numPages} page(s).`);
 
   // Initialize an array to store the extracted text and its positioning information
   let extractedText = [];
 
-  // Iterate through each page of the PDF
-  for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-    // Retrieve the page object
-    const page = await pdf.getPage(pageNum);
-    // Extract the text content from the page
-    const textContent = await page.getTextContent();
-
-    // Iterate through each text item in the page
-    textContent.items.forEach((line) => {
-      // Extract the positioning information and text from the text item
-      const y = line.transform[5];
-      const x = line.transform[4];
-      const text = line.str;
-      const width = line.width;
-
-      // Push the extracted information into the extractedText array
-      extractedText.push({
-        page: pageNum,
-        x,
-        y,
-        width,
-        text,
-      });
+  // Only started if the document has a scanned page
+  const recognizer = ocr.createPageRecognizer();
+
+  try {
+    // Iterate through each page of the PDF
+    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+      // Let other requests (and the close of a cancelled one) through between pages, then
+      // stop reading the pages once the caller is no longer waiting for them
+      await new Promise((resolve) => setImmediate(resolve));
+      signal?.throwIfAborted();
+      onProgress?.({ stage: "parsing", page: pageNum, pageCount: numPages });
+
+      // Retrieve the page object
+      const page = await pdf.getPage(pageNum);
+      // Extract the text content from the page
+      const textContent = await page.getTextContent();
+
+      // Read the text of scanned pages with OCR
+      if (recognizer && !ocr.hasTextLayer(textContent.items)) {
+        const ocrEntries = await recognizer.recognizePage(page, pageNum);
+        extractedText.push(...ocrEntries);
+
+        continue;
+      }
 
-      // Log the extracted information if the log flag is true
-      if (log)
-        console.log(
-          pageNum,
-          y.toFixed(2),
-          x.toFixed(2),
-          width.toFixed(2),
-          "\t[" + text + "]",
-        );
-    });
+      // Iterate through each text item in the page
+      textContent.items.forEach((line) => {
+        // Extract the positioning information and text from the text item
+        const y = line.transform[5];
+        const x = line.transform[4];
+        const text = line.str;
+        const width = line.width;
+        const height = line.height;
+
+        // Push the extracted information into the extractedText array
+        extractedText.push({
+          page: pageNum,
+          x,
+          y,
+          width,
+          height,
+          text,
+        });
+
+      });
+    }
+  } finally {
+    if (recognizer) await recognizer.terminate();
   }
 
   // Return the array of extracted text and its positioning information
   return extractedText;
 }
 
-async function extractPDFDocFromUrl(pdfUrl) {
-  console.log(`Getting PDF from ${pdfUrl}`);
-
-  // Dynamically imports node-fetch to fetch the PDF
-  const fetch = (await import("node-fetch")).default;
-
+/**
+ * Loads a PDF document with PDF.js from its raw bytes, e.g. an uploaded file.
+ *
+ * @param {ArrayBuffer|Uint8Array|Buffer} pdfData - The raw bytes of the PDF document.
+ * @returns {Promise<Object>} - A promise that resolves to the PDF document object.
+ */
+async function extractPDFDocFromData(pdfData) {
   // Dynamically imports pdfjs-dist to handle PDF operations
   const pdfjsLib = await import("pdfjs-dist");
 
-  // Fetches the PDF data from the provided URL
-  const response = await fetch(pdfUrl);
-  const pdfData = await response.arrayBuffer();
+  const standardFontDataUrl = `${__dirname}/fonts/`;
 
+  // PDF.js only accepts plain Uint8Arrays, so copy Buffers and ArrayBuffers into one
+  const data = new Uint8Array(pdfData);
 
-  const standardFontDataUrl = `${__dirname}/fonts/`;
+  // PDF.js writes its warnings with console.log, so they are only shown when
+  // the progress is written to stdout too
+  const verbosity =
+    config.log.stream === "stdout"
+      ? pdfjsLib.VerbosityLevel.WARNINGS
+      : pdfjsLib.VerbosityLevel.ERRORS;
 
   // Loads the PDF document using pdfjs-dist
-  const loadingTask = pdfjsLib.getDocument({ data: pdfData, standardFontDataUrl });
+  const loadingTask = pdfjsLib.getDocument({ data, standardFontDataUrl, verbosity });
   const pdfDocument = await loadingTask.promise;
 
   // Return the pdfDocument or any other relevant data
   return pdfDocument;
 }
 
+// Text items whose baselines are less than this fraction of the font height
+// apart are on the same line, e.g. a superscript or an item with a jittery baseline
+const baselineTolerance = 0.5;
+
+// An item whose baseline is more than this fraction of the line height off the
+// baseline of its line is a superscript or subscript
+const scriptOffset = 0.15;
+
+// A gap wider than this fraction of the line height between two items is a space
+const wordGap = 0.15;
+
+/**
+ * Tells whether two text items are printed on the same line, allowing their
+ * baselines to differ by part of the font height.
+ *
+ * @param {Object} a - A text entry or combined line, with its `y` and `height`.
+ * @param {Object} b - Another text entry or combined line.
+ * @returns {boolean} - True if both are on the same line.
+ */
+function isSameLine(a, b) {
+  return Math.abs(a.y - b.y) <= Math.max(a.height, b.height) * baselineTolerance;
+}
+
+/**
+ * Joins the text items of one line, left to right. A space is put between two
+ * items that are a gap apart unless one of them already holds it.
+ *
+ * @param {Array<Object>} lineEntries - The text entries of the line.
+ * @param {number} height - The height of the line.
+ * @returns {string} - The text of the line.
+ */
+function joinLineText(lineEntries, height) {
+  let text = "";
+  let right = null;
+  [...lineEntries]
+    .sort((a, b) => a.x - b.x)
+    .forEach((entry) => {
+      const hasSpace = /\s$/.test(text) || /^\s/.test(entry.text);
+      if (
+        right !== null &&
+        text &&
+        entry.text &&
+        !hasSpace &&
+        entry.x - right > height * wordGap
+      ) {
+        text += " ";
+      }
+      text += entry.text;
+      right = Math.max(right ?? entry.x, entry.x + entry.width);
+    });
+  return text;
+}
+
 /**
  * Combines text entries from a PDF document based on a specified starting page.
- * This function iterates through each text entry, combining entries that are on the same page and have the same y-coordinate.
- * It also allows for logging of the combined entries.
+ * This function groups the text entries that are on the same page, in the same
+ * column (when the entries have been assigned a column `side` by `splitEntriesByColumn`) and on the same line.
+ * Entries are on the same line when their baselines are within part of the font
+ * height of each other (see `isSameLine`), so superscripts, subscripts and items
+ * with a slightly different baseline do not become lines of their own. The line
+ * takes the baseline of its tallest entry, its entries are joined left to right,
+ * and it spans the real extent of the entries it was built from.
  *
  * @param {Array<Object>} textEntries - An array of objects representing text entries from a PDF document, where each object contains properties such as page number, x and y coordinates, width, and text.
  * @param {number} specStartPage - The starting page number from which to begin combining text entries.
- * @param {boolean} [log=false] - An optional flag to enable logging of the combined entries.
- * @returns {Array<Object>} - An array of objects representing the combined text entries, including properties for page number, x and y coordinates, width, and text.
+ * @returns {Array<Object>} - An array of objects representing the combined text entries, including properties for page number, column side, x and y coordinates, width, height, and text, plus `hasScripts` for lines with a superscript or subscript, and `ocr` and the lowest word `confidence` for lines read by OCR.
  */
-function combineTextEntries(textEntries, specStartPage, log = false) {
-  // Initialize an object to store combined entries by their page and y-coordinate
-  const combinedEntriesMap = {};
-
-  // Iterate through each text entry
+function combineTextEntries(textEntries, specStartPage) {
+  // Group the entries on or after the starting page by their page and column side
+  const entriesByColumn = new Map();
   textEntries.forEach((entry) => {
-    // Check if the entry is on or after the specified starting page
     if (entry.page >= specStartPage) {
-      // Create a unique key for the entry based on its page and y-coordinate
-      const key = `${entry.page}-${entry.y})`;
-      // If the entry does not already exist in the map, add it
-      if (!combinedEntriesMap[key]) {
-        combinedEntriesMap[key] = {
-          page: entry.page,
-          x: entry.x,
-          y: entry.y,
-          width: entry.width,
-          text: entry.text,
-        };
-      } else {
-        // If the entry already exists, append the text and add the width
-        combinedEntriesMap[key].text += entry.text;
-        combinedEntriesMap[key].width += entry.width;
-      }
+      const key = `${entry.page}-${entry.side}`;
+      if (!entriesByColumn.has(key)) entriesByColumn.set(key, []);
+      entriesByColumn.get(key).push(entry);
     }
   });
 
-  // Convert the map of combined entries into an array
-  let combinedEntries = Object.values(combinedEntriesMap);
-  // Sort the combined entries by page and y-coordinate in descending order of y
+  let combinedEntries = [];
+  entriesByColumn.forEach((columnEntries) => {
+    // Walk down the column, starting a new line at each entry that is not on the current one
+    let lines = [];
+    let currentLine = null;
+    [...columnEntries]
+      .sort((a, b) => b.y - a.y)
+      .forEach((entry) => {
+        if (currentLine && isSameLine(entry, currentLine.baseline)) {
+          currentLine.entries.push(entry);
+          // The tallest (or else longest) entry holds the baseline of the line
+          const baseline = currentLine.baseline;
+          if (
+            entry.height > baseline.height ||
+            (entry.height === baseline.height &&
+              entry.text.trim().length > baseline.text.trim().length)
+          ) {
+            currentLine.baseline = entry;
+          }
+        } else {
+          currentLine = { baseline: entry, entries: [entry] };
+          lines.push(currentLine);
+        }
+      });
+
+    lines.forEach(({ baseline, entries }) => {
+      const left = Math.min(...entries.map((entry) => entry.x));
+      const right = Math.max(...entries.map((entry) => entry.x + entry.width));
+      const height = Math.max(...entries.map((entry) => entry.height));
+      const combinedEntry = {
+        page: baseline.page,
+        side: baseline.side,
+        x: left,
+        y: baseline.y,
+        width: right - left,
+        height,
+        text: joinLineText(entries, height),
+      };
+
+      if (
+        entries.some(
+          (entry) =>
+            entry.text.trim() &&
+            Math.abs(entry.y - baseline.y) > height * scriptOffset,
+        )
+      ) {
+        combinedEntry.hasScripts = true;
+      }
+
+      // A line is only as reliable as its least confidently recognized word
+      const ocrEntries = entries.filter((entry) => entry.ocr);
+      if (ocrEntries.length > 0) {
+        combinedEntry.ocr = true;
+        combinedEntry.confidence = Math.min(
+          ...ocrEntries.map((entry) => entry.confidence),
+        );
+      }
+
+      combinedEntries.push(combinedEntry);
+    });
+  });
+
+  // Sort the combined entries by page, column side and y-coordinate in descending order of y
   combinedEntries.sort((a, b) => {
     if (a.page !== b.page) {
       return a.page - b.page;
+    } else if (a.side !== b.side) {
+      return (a.side || 0) - (b.side || 0);
     } else {
       return b.y - a.y; // For descending order of y
     }
   });
 
-  // Log the combined entries if the log flag is true
-  if (log)
-    combinedEntries.forEach((line) => {
-      console.log(
-        `Page ${line.page} (${line.y.toFixed(2)},${line.x.toFixed(2)})\t[${line.text
-        }]`,
-      );
-    });
-
   // Return the array of combined entries
   return combinedEntries;
 }
@@ -147,10 +271,9 @@ function combineTextEntries(textEntries, specStartPage, log = false) {
  * It then subtracts 2 from the determined y-coordinate to find the starting y-coordinate for the page.
  *
  * @param {Array<Object>} combinedPDFText - An array of objects representing the combined text from a PDF document, where each object contains properties such as page number, x and y coordinates, width, and text.
- * @param {boolean} [log=false] - An optional flag to enable logging of the starting y-coordinate.
  * @returns {number} - The starting y-coordinate for the specified page, adjusted by subtracting 2.
  */
-function getSpecPageStartLine(combinedPDFText, log = false) {
+function getSpecPageStartLine(combinedPDFText) {
   // Initialize the starting y-coordinate
   let startLine = 0.0;
   // Retrieve the text of the second line on the page
@@ -159,361 +282,453 @@ function getSpecPageStartLine(combinedPDFText, log = false) {
   startLine = isNaN(Number(secondLineText))
     ? combinedPDFText[1].y // If not a number, use the y-coordinate of the second line
     : combinedPDFText[2].y; // If it is a number, use the y-coordinate of the third line
-  // Log the starting y-coordinate
-  if (log) console.log(`Starting y: ${startLine}`);
   // Return the starting y-coordinate adjusted by subtracting 2
   return startLine - 2;
 }
 
+// Margin line numbers are printed next to every fifth line of a column
+const markerInterval = 5;
+
+// OCR misreadings of the digits of a margin line number, e.g. "SO" for "50"
+const markerDigitMisreadings = { O: "0", o: "0", S: "5", I: "1", l: "1" };
+
 /**
- * Determines if a given text is a line number based on a predefined set of values.
- * This function checks if the provided text matches any of the specified line numbers.
+ * Reads the value of a text that could be a margin line-number marker, i.e. a
+ * multiple of five printed on its own, allowing for the usual OCR misreadings
+ * of its digits. Whether the text really is a marker depends on where it is
+ * printed, see `findMarginMarkers`.
  *
- * @param {string} text - The text to check if it represents a line number.
- * @returns {boolean} - Returns true if the text matches any of the specified line numbers, otherwise false.
+ * @param {string} text - The text of an entry or of a token within a line.
+ * @returns {number|null} - The value of the marker, or null if the text cannot be one.
  */
-function isLineNumberText(text) {
-  let isLineNumber = false;
-
-  // Check if the text matches any of the specified line numbers
-  switch (text) {
-    case "O":
-    case "5":
-    case "10":
-    case "15":
-    case "20":
-    case "25":
-    case "30":
-    case "35":
-    case "40":
-    case "45":
-    case "50":
-    case "SO":
-    case "55":
-    case "60":
-    case "65":
-      isLineNumber = true;
-      break;
-  }
-
-  return isLineNumber;
+function parseMarkerValue(text) {
+  const digits = text
+    .trim()
+    .replace(/[OoSIl]/g, (character) => markerDigitMisreadings[character]);
+  if (!/^\d{1,2}$/.test(digits)) return null;
+
+  const value = Number(digits);
+  return value > 0 && value % markerInterval === 0 ? value : null;
 }
 
 /**
- * Splits lines from a combined PDF text array based on line numbers and a specified starting line.
- * This function iterates through each line, checking if the line's y-coordinate is greater than or equal to the specified starting line or if the line's text matches a predefined set of line numbers.
- * It then splits the line into two parts if the match location is greater than 270, adjusting the x and width properties accordingly.
- * The function also allows for logging of the split lines.
+ * Returns the middle value of a list of numbers.
  *
- * @param {Array<Object>} combinedPDFLines - An array of objects representing the combined text from a PDF document, where each object contains properties such as page number, x and y coordinates, width, and text.
- * @param {number} specStartLine - The y-coordinate of the starting line.
- * @param {boolean} [log=false] - An optional flag to enable logging of the split lines.
- * @returns {Array<Object>} - An array of objects representing the split lines, including properties for page number, x and y coordinates, width, and text.
+ * @param {Array<number>} values - The numbers, in any order.
+ * @returns {number} - The median.
  */
-function splitLineByLineNumber(combinedPDFLines, specStartLine, log = false) {
-  // Regular expression to match line numbers
-  const regex = /(?:^|\s)(10|15|20|25|30|35|40|45|50|55|60|65|5)(?=\s|$)/;
-  let splitLines = [];
-
-  // Iterate through each line in the combinedPDFLines array
-  for (let ii = 0; ii < combinedPDFLines.length; ii++) {
-    // Check if the line's y-coordinate is greater than or equal to the specified starting line or if the line's text matches a predefined set of line numbers
-    if (
-      combinedPDFLines[ii].y >= specStartLine ||
-      isLineNumberText(combinedPDFLines[ii].text)
-    ) {
-      continue; // Skip this line if it meets the condition
-    }
-
-    // Extract the current line
-    const line = combinedPDFLines[ii];
-    // Match the line's text against the regular expression
-    const match = line.text.match(regex);
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
 
-    // If a match is found
-    if (match) {
-      // Calculate the average character width
-      const avgCharWidth = line.width / line.text.length;
-      // Split the line's text into left and right parts based on the match location
-      const leftText = line.text.substring(0, match.index);
-      const rightText = line.text.substring(match.index + match[0].length);
-      // Calculate the match location
-      const matchLocation = line.x + avgCharWidth * leftText.length;
-
-      // If the match location is greater than 270
-      if (matchLocation > 270) {
-        // Add the left part of the split line to the splitLines array
-        if (leftText.trim().length > 0) {
-          splitLines.push({
-            page: line.page,
-            x: line.x,
-            y: line.y,
-            width: leftText.length * avgCharWidth,
-            text: leftText,
-          });
-        }
+/**
+ * Finds the margin line-number markers ("5", "10", "15", ...) of a page.
+ * Candidates are recognized by their position, a narrow x band in the middle
+ * of the text area, and then by their sequence: read top to bottom the values
+ * count up, and consecutive markers are five lines apart, so they all sit on
+ * one grid of evenly spaced lines. The line pitch of that grid must match the
+ * spacing of the text lines. Numbers in the text of a column, such as the
+ * "10" of "a 10 mm spacer", fail one of these tests.
+ *
+ * @param {Array<Object>} entries - The non-empty text entries of one page.
+ * @returns {Object|null} - The `markers`, each with its `value`, `x`, `y` and
+ *                          `width`, sorted top to bottom, and the line `pitch`,
+ *                          or null if the page has fewer than two markers.
+ */
+function findMarginMarkers(entries) {
+  const minX = Math.min(...entries.map((entry) => entry.x));
+  const maxX = Math.max(...entries.map((entry) => entry.x + entry.width));
+  const textWidth = maxX - minX;
+
+  // Markers sit alone between the columns, in the middle half of the text area
+  const candidates = entries
+    .map((entry) => ({
+      value: parseMarkerValue(entry.text),
+      x: entry.x,
+      y: entry.y,
+      width: entry.width,
+      center: entry.x + entry.width / 2,
+    }))
+    .filter(
+      (candidate) =>
+        candidate.value !== null &&
+        candidate.center >= minX + textWidth / 4 &&
+        candidate.center <= maxX - textWidth / 4,
+    );
+  if (candidates.length < 2) return null;
+
+  // The markers share one narrow x band: keep the candidates around the
+  // candidate with the most others lined up with it
+  let band = [];
+  candidates.forEach((candidate) => {
+    const aligned = candidates.filter(
+      (other) => Math.abs(other.center - candidate.center) <= candidate.width,
+    );
+    if (aligned.length > band.length) band = aligned;
+  });
 
-        // Add the right part of the split line to the splitLines array
-        if (rightText.trim().length > 0) {
-          splitLines.push({
-            page: line.page,
-            x: line.x + (leftText.length + match[0].length) * avgCharWidth,
-            y: line.y,
-            width: rightText.length * avgCharWidth,
-            text: rightText,
-          });
-        }
-      } else {
-        // Add the entire line to the splitLines array
-        splitLines.push(line);
+  // Read top to bottom, the markers count up: keep the longest run of rising values
+  band.sort((a, b) => b.y - a.y);
+  const runLengths = band.map(() => 1);
+  const previous = band.map(() => -1);
+  band.forEach((candidate, ii) => {
+    for (let jj = 0; jj < ii; jj++) {
+      if (
+        band[jj].value < candidate.value &&
+        band[jj].y > candidate.y &&
+        runLengths[jj] + 1 > runLengths[ii]
+      ) {
+        runLengths[ii] = runLengths[jj] + 1;
+        previous[ii] = jj;
       }
-    } else {
-      // Add the entire line to the splitLines array
-      splitLines.push(line);
     }
+  });
+  let sequence = [];
+  for (
+    let ii = runLengths.indexOf(Math.max(...runLengths));
+    ii !== -1;
+    ii = previous[ii]
+  ) {
+    sequence.unshift(band[ii]);
+  }
+  if (sequence.length < 2) return null;
+
+  // Consecutive markers are five lines apart, so each pair gives the line pitch
+  const pitch = median(
+    sequence
+      .slice(1)
+      .map(
+        (marker, ii) =>
+          (sequence[ii].y - marker.y) / (marker.value - sequence[ii].value),
+      ),
+  );
+
+  // Every marker must sit on the same grid of lines, within half a line
+  const gridOffset = median(sequence.map((marker) => marker.y + marker.value * pitch));
+  const markers = sequence.filter(
+    (marker) => Math.abs(marker.y + marker.value * pitch - gridOffset) <= pitch / 2,
+  );
+  if (markers.length < 2) return null;
+
+  // The grid must match the spacing of the text lines, which is mostly one line
+  const lineYs = [...new Set(entries.map((entry) => entry.y))].sort((a, b) => b - a);
+  const lineGaps = lineYs
+    .slice(1)
+    .map((y, ii) => lineYs[ii] - y)
+    .filter((gap) => gap > 1);
+  if (lineGaps.length > 0) {
+    const linePitch = median(lineGaps);
+    if (Math.abs(pitch - linePitch) > linePitch / 4) return null;
   }
 
-  // Sort the split lines by page and y-coordinate
-  splitLines.sort((a, b) => {
-    if (a.page !== b.page) {
-      return a.page - b.page;
-    } else {
-      return b.y - a.y;
-    }
-  });
+  return {
+    markers: markers.map(({ value, x, y, width }) => ({ value, x, y, width })),
+    pitch,
+  };
+}
 
-  // Log the split lines if the log flag is true
-  if (log)
-    splitLines.forEach((line) => {
-      console.log(
-        `Page ${line.page} (${line.y.toFixed(2)},${line.x.toFixed(2)})\t[${line.text
-        }]`,
-      );
-    });
+/**
+ * Reads the line number of a y-coordinate off the margin markers of its page,
+ * counting lines from the closest marker.
+ *
+ * @param {Object} lineMarkers - The `markers` and line `pitch` found by `findMarginMarkers`.
+ * @param {number} y - The y-coordinate of the line.
+ * @returns {number} - The line number.
+ */
+function lineNumberAt(lineMarkers, y) {
+  const closest = lineMarkers.markers.reduce((best, marker) =>
+    Math.abs(marker.y - y) < Math.abs(best.y - y) ? marker : best,
+  );
+  return Math.round(closest.value + (closest.y - y) / lineMarkers.pitch);
+}
 
-  // Return the array of split lines
-  return splitLines;
+/**
+ * Tells whether a number found in the gutter is a margin line-number marker.
+ * On a page whose marker sequence was recognized, the number must also be the
+ * line number of the line it is printed on.
+ *
+ * @param {Object} gutter - The gutter of the page, see `detectColumnLayout`.
+ * @param {string} text - The text of the number.
+ * @param {number} y - The y-coordinate of the number.
+ * @returns {boolean} - True if the number is a margin marker.
+ */
+function isMarginMarker(gutter, text, y) {
+  const value = parseMarkerValue(text);
+  if (value === null) return false;
+  return !gutter.lineMarkers || lineNumberAt(gutter.lineMarkers, y) === value;
 }
 
 /**
- * Assigns line numbers to PDF lines based on their column and y-coordinate differences.
- * This function iterates through each line in the provided array, resetting the line number
- * whenever a new column is encountered. It also increments the line number based on the
- * difference in y-coordinates between consecutive lines, considering a larger difference as
- * indicating a new line.
+ * Infers the gutter between the two text columns of a page from the layout
+ * geometry. When the page has margin line-number markers ("5", "10", ...)
+ * recognized by `findMarginMarkers`, their band is the gutter. Otherwise the
+ * x-extents of all text items are projected onto the x-axis, and the widest
+ * run without text (apart from a few centered titles) in the middle half of
+ * the text area is taken as the gutter.
  *
- * @param {Array<Object>} pdfLines - An array of objects representing lines from a PDF document, where each object contains properties such as page number, x and y coordinates, width, text, and column number.
- * @param {boolean} [log=false] - An optional flag to enable logging of the line numbers.
+ * @param {Array<Object>} pageEntries - The text entries of one page, as returned by `extractTextFromPDF`.
+ * @returns {Object|null} - The `left` and `right` x-coordinates of the gutter,
+ *                          plus the `lineMarkers` of the page if it has margin
+ *                          markers, or null if the page has a single column.
  */
-function setLineNumbers(pdfLines, log = false) {
-  let currentCol = pdfLines[0].column;
-  let lineNumber = 1;
-  for (let ii = 0; ii < pdfLines.length; ii++) {
-    // Check if the current line is in a new column
-    if (currentCol != pdfLines[ii].column) {
-      currentCol = pdfLines[ii].column;
-      lineNumber = 1; // Reset line number for the new column
+function detectColumnLayout(pageEntries) {
+  const entries = pageEntries.filter((entry) => entry.text.trim().length > 0);
+  if (entries.length === 0) return null;
+
+  // Margin line-number markers sit alone in the gutter, so their band is the
+  // gutter, and they calibrate the line numbers of the page
+  const lineMarkers = findMarginMarkers(entries);
+  if (lineMarkers) {
+    const gutter = {
+      left: Math.min(...lineMarkers.markers.map((marker) => marker.x)),
+      right: Math.max(
+        ...lineMarkers.markers.map((marker) => marker.x + marker.width),
+      ),
+      lineMarkers,
+    };
+    return gutter;
+  }
+
+  // Project the text onto the x-axis in 1pt bins
+  const minX = Math.floor(Math.min(...entries.map((entry) => entry.x)));
+  const maxX = Math.ceil(
+    Math.max(...entries.map((entry) => entry.x + entry.width)),
+  );
+  const coverage = new Array(maxX - minX + 1).fill(0);
+  entries.forEach((entry) => {
+    for (
+      let bin = Math.floor(entry.x) - minX;
+      bin < Math.ceil(entry.x + entry.width) - minX;
+      bin++
+    ) {
+      coverage[bin]++;
     }
-    // Assign the current line number to the line object
-    pdfLines[ii].lineNumber = lineNumber;
+  });
 
-    // Increment the line number based on the difference in y-coordinates between the current line and the next line
-    if (ii + 1 < pdfLines.length) {
-      lineNumber += pdfLines[ii].y - pdfLines[ii + 1].y > 14 ? 2 : 1;
+  // Find the widest empty run in the middle half of the text area, allowing
+  // for the odd title or header line centered across both columns
+  const lineCount = new Set(entries.map((entry) => entry.y)).size;
+  const allowedCoverage = Math.floor(lineCount * 0.05);
+  const textWidth = maxX - minX;
+  let best = null;
+  let runStart = null;
+  for (
+    let bin = Math.floor(textWidth / 4);
+    bin <= Math.ceil((textWidth * 3) / 4);
+    bin++
+  ) {
+    if (coverage[bin] <= allowedCoverage) {
+      if (runStart === null) runStart = bin;
+      const runLength = bin - runStart + 1;
+      if (!best || runLength > best.right - best.left) {
+        best = { left: minX + runStart, right: minX + bin + 1 };
+      }
+    } else {
+      runStart = null;
     }
   }
 
-  // Log the line numbers if the log flag is true
-  if (log)
-    pdfLines.forEach((line) => {
-      console.log(
-        `Page ${line.page} (${line.column}, ${line.lineNumber})\t[${line.text}]`,
-      );
+  // A run narrower than a few points is just the space between two words
+  const gutter = best && best.right - best.left >= 4 ? best : null;
+  return gutter;
+}
+
+/**
+ * Detects the column gutter of every page. A page whose gutter cannot be
+ * inferred (e.g. a page with only a few lines) reuses the gutter of the
+ * previous page, but not its margin markers.
+ *
+ * @param {Array<Object>} textEntries - The text entries of the pages to lay out.
+ * @returns {Map<number, Object|null>} - The gutter of each page, keyed by page number.
+ */
+function detectColumnLayouts(textEntries) {
+  const entriesByPage = new Map();
+  textEntries.forEach((entry) => {
+    if (!entriesByPage.has(entry.page)) entriesByPage.set(entry.page, []);
+    entriesByPage.get(entry.page).push(entry);
+  });
+
+  const layouts = new Map();
+  let previousGutter = null;
+  [...entriesByPage.keys()]
+    .sort((a, b) => a - b)
+    .forEach((page) => {
+      const gutter =
+        detectColumnLayout(entriesByPage.get(page)) ||
+        (previousGutter && {
+          left: previousGutter.left,
+          right: previousGutter.right,
+        });
+      layouts.set(page, gutter);
+      previousGutter = gutter;
     });
+
+  return layouts;
 }
 
 /**
- * This function splits lines from a PDF document into columns based on a specified
- * maximum column length. It iterates through each line, checking if the line's
- * text length exceeds the maximum column length and if so, splits the text into
- * two parts. The function also handles the transition between pages and columns
- * within the document.
+ * Assigns every text entry to the left (side 0) or right (side 1) column of
+ * its page, based on the gutters found by `detectColumnLayouts`. Margin
+ * line-number markers inside the gutter are dropped (see `isMarginMarker`), and an entry running
+ * across the gutter is split at the space closest to the gutter, removing a
+ * margin line number that ended up in its text. Each part keeps the
+ * coordinates of the text it holds.
  *
- * @param {Array<Object>} pdfLines - An array of objects representing lines from
- *                                   the PDF document, where each object contains
- *                                   properties such as page number, x and y
- *                                   coordinates, width, and text.
- * @param {number} colLength - The maximum length of a column.
- * @param {boolean} [log=false] - An optional flag to enable logging of the
- *                                split lines.
- * @returns {Array<Object>} - An array of objects representing the split lines,
- *                            including properties for page number, x and y
- *                            coordinates, width, text, and column number.
+ * @param {Array<Object>} textEntries - The text entries to assign to columns.
+ * @param {Map<number, Object|null>} layouts - The gutter of each page.
+ * @returns {Array<Object>} - The text entries, each with a `side` property.
  */
-function splitLinesBySize(pdfLines, colLength, log = false) {
-  // Initialize an array to hold the split lines
-  let splitLines = [];
+function splitEntriesByColumn(textEntries, layouts) {
+  let columnEntries = [];
 
-  // Track the current page and column number
-  let currentPage = pdfLines[0].page;
-  let currentCol = 1;
+  textEntries.forEach((entry) => {
+    const gutter = layouts.get(entry.page);
+    if (!gutter) {
+      columnEntries.push({ ...entry, side: 0 });
+      return;
+    }
 
-  // Iterate through each line in the PDF
-  for (let ii = 0; ii < pdfLines.length; ii++) {
-    // Check if the current line is on a new page
-    if (currentPage != pdfLines[ii].page) {
-      // Update the current page and increment the column number
-      currentPage = pdfLines[ii].page;
-      currentCol += 2;
+    const gutterCenter = (gutter.left + gutter.right) / 2;
+    const entryRight = entry.x + entry.width;
+
+    // Drop the margin line-number markers printed in the gutter
+    if (
+      isMarginMarker(gutter, entry.text, entry.y) &&
+      entry.x >= gutter.left - entry.width &&
+      entryRight <= gutter.right + entry.width
+    ) {
+      return;
     }
 
-    // Extract properties from the current line
-    const page = pdfLines[ii].page;
-    const x = pdfLines[ii].x;
-    const y = pdfLines[ii].y;
-    const width = pdfLines[ii].width;
-    const text = pdfLines[ii].text;
-
-    // Check if the line's text length exceeds the maximum column length
-    if (x < 100 && text.length > colLength) {
-      // Split the text into two parts
-      const [leftColumnText, rightColumnText] = splitText(text, colLength);
-      // Add the left part of the split text to the splitLines array
-      splitLines.push({
-        page,
-        x,
-        y,
-        width,
-        text: leftColumnText,
-        column: currentCol,
-      });
+    if (entryRight <= gutterCenter || entry.x >= gutterCenter) {
+      columnEntries.push({ ...entry, side: entry.x >= gutterCenter ? 1 : 0 });
+      return;
+    }
 
-      // Add the right part of the split text to the splitLines array
-      splitLines.push({
-        page,
-        x: 310,
-        y,
-        width,
-        text: rightColumnText,
-        column: currentCol + 1,
-      });
-    } else {
-      // Determine the column number based on the x coordinate
-      const column = x < 100 ? currentCol : currentCol + 1;
-      // Add the line to the splitLines array
-      splitLines.push({ page, x, y, width, text, column: column });
+    // The entry runs across the gutter: split it at the space closest to the gutter
+    const avgCharWidth = entry.width / entry.text.length;
+    const gutterIndex = (gutterCenter - entry.x) / avgCharWidth;
+    let splitIndex = -1;
+    for (let ii = 0; ii < entry.text.length; ii++) {
+      if (
+        entry.text[ii] === " " &&
+        (splitIndex === -1 ||
+          Math.abs(ii - gutterIndex) < Math.abs(splitIndex - gutterIndex))
+      ) {
+        splitIndex = ii;
+      }
+    }
+    if (splitIndex === -1) splitIndex = Math.round(gutterIndex);
+
+    let leftText = entry.text.substring(0, splitIndex);
+    let rightText = entry.text.substring(splitIndex);
+    let rightStart = splitIndex;
+
+    // Remove a margin line number that sits in the gutter at either side of the split
+    const leftMatch = leftText.match(/\s(\d{1,2})\s*$/);
+    if (leftMatch && isMarginMarker(gutter, leftMatch[1], entry.y)) {
+      const numberX = entry.x + leftMatch.index * avgCharWidth;
+      if (numberX >= gutter.left - avgCharWidth * 3) {
+        leftText = leftText.substring(0, leftMatch.index);
+      }
+    }
+    const rightMatch = rightText.match(/^\s*(\d{1,2})(?=\s)/);
+    if (rightMatch && isMarginMarker(gutter, rightMatch[1], entry.y)) {
+      const numberRight = entry.x + (rightStart + rightMatch[0].length) * avgCharWidth;
+      if (numberRight <= gutter.right + avgCharWidth * 3) {
+        rightText = rightText.substring(rightMatch[0].length);
+        rightStart += rightMatch[0].length;
+      }
     }
-  }
 
-  // Sort the split lines by page, column, and y coordinate
-  splitLines.sort((a, b) => {
-    if (a.page !== b.page) {
-      return a.page - b.page;
-    } else if (a.column !== b.column) {
-      return a.column - b.column;
-    } else {
-      return b.y - a.y;
+    // Keep the real position of each part
+    const leadingSpaces = rightText.length - rightText.trimStart().length;
+    rightStart += leadingSpaces;
+    leftText = leftText.trimEnd();
+    rightText = rightText.trim();
+
+    if (leftText.length > 0) {
+      columnEntries.push({
+        ...entry,
+        width: leftText.length * avgCharWidth,
+        text: leftText,
+        side: 0,
+      });
+    }
+    if (rightText.length > 0) {
+      columnEntries.push({
+        ...entry,
+        x: entry.x + rightStart * avgCharWidth,
+        width: rightText.length * avgCharWidth,
+        text: rightText,
+        side: 1,
+      });
     }
-  });
 
-  // Log the split lines if the log flag is true
-  if (log)
-    splitLines.forEach((line) => {
-      console.log(
-        `Page ${line.page} (${line.column}, ${line.y.toFixed(
-          2,
-        )},${line.x.toFixed(2)})\t[${line.text}]`,
-      );
-    });
+  });
 
-  // Return the array of split lines
-  return splitLines;
+  return columnEntries;
 }
 
 /**
- * This function splits a given text into two parts based on a specified maximum column size.
- * It ensures that the split occurs at a space character to avoid breaking words, unless
- * the text is shorter than the maximum column size, in which case it returns the text
- * as is and an empty string.
+ * Numbers the columns of the specification. The columns of the first page are
+ * 1 and 2, and each following page adds two more. The left or right column of
+ * a line comes from the column side it was assigned by `splitEntriesByColumn`.
  *
- * @param {string} text - The text to be split.
- * @param {number} maxColumnSize - The maximum size of the first part of the split text.
- * @returns {Array<string>} - An array containing two strings: the first part of the text
- *                             and the second part, or the original text and an empty string
- *                             if the text is shorter than maxColumnSize.
+ * @param {Array<Object>} pdfLines - The combined lines of the specification,
+ *                                   sorted by page, column side and y-coordinate.
+ * @returns {Array<Object>} - The lines, each with a `column` property.
  */
-function splitText(text, maxColumnSize) {
-  // Check if the text is shorter or equal to maxColumnSize
-  if (text.length <= maxColumnSize) {
-    return [text, ""];
-  }
-
-  // Find the last space before maxColumnSize
-  let splitIndex = text.substring(0, maxColumnSize).lastIndexOf(" ");
-  // If there is no space, split at maxColumnSize
-  if (splitIndex === -1) {
-    splitIndex = maxColumnSize;
-  }
+function setColumnNumbers(pdfLines) {
+  let currentPage = pdfLines[0].page;
+  let currentCol = 1;
 
-  // Split the text into two parts
-  const part1 = text.substring(0, splitIndex);
-  const part2 = text.substring(splitIndex + 1);
+  const numberedLines = pdfLines.map((line) => {
+    // Each new page starts two columns further on
+    if (currentPage != line.page) {
+      currentPage = line.page;
+      currentCol += 2;
+    }
+    return { ...line, column: currentCol + (line.side || 0) };
+  });
 
-  return [part1, part2];
+  return numberedLines;
 }
 
 /**
- * This function identifies the first page in a PDF document that contains
- * specifications based on a given pattern. It scans through the extracted text
- * line by line, looking for lines that match a specific pattern indicating the
- * start of specifications. The function uses a regular expression to match
- * lines that contain numbers indicating the start of specifications.
+ * Assigns line numbers to PDF lines, restarting at 1 in every column. On a
+ * page with margin line-number markers, each line gets the number the markers
+ * give its y-coordinate, so blank lines and uneven spacing cannot shift the
+ * count. Without markers, the lines are counted, and a y-gap of more than 14
+ * between two lines is taken as a blank line.
  *
- * @param {Array<Object>} extractedText - An array of objects representing the
- *                                        extracted text from the PDF document,
- *                                        where each object contains the text,
- *                                        page number, and other properties.
- * @param {boolean} [log=false] - An optional flag to enable logging of
- *                                matched lines and their locations.
- * @returns {number} - The page number where the first specification starts,
- *                     or 0 if no specification start page is found.
+ * @param {Array<Object>} pdfLines - An array of objects representing lines from a PDF document, where each object contains properties such as page number, x and y coordinates, width, text, and column number.
+ * @param {Map<number, Object|null>} [layouts] - The gutter of each page, with its `lineMarkers`, as returned by `detectColumnLayouts`.
  */
-function findFirstSpecPageOld(extractedText, log = false) {
-  // Regular expression to match lines containing numbers indicating the start of specifications
-  const regex = /(?:^|\s)(10|15|20|25|30|35|40|45|50|55|60|65|5)(?=\s|$)/;
-
-  let specPage = 0; // Initialize the page number of the first specification
-  let currentPage = extractedText[0].page; // Initialize the current page number
-  let columnEntries = 0; // Initialize the count of column entries
-
-  // Loop through each line in the extracted text
-  for (let ii = 0; ii < extractedText.length; ii++) {
-    const line = extractedText[ii];
-
-    // Check if the line matches the regular expression
-    const match = line.text.match(regex);
-    if (match) {
-      // Calculate the average character width and the match location
-      const avgCharWidth = line.width / line.text.length;
-      const matchLocation =
-        line.x + avgCharWidth * line.text.slice(0, match.index).length;
-      // If the match location is greater than 250, increment the column entries
-      if (matchLocation > 250) {
-        if (log) console.log(line.page, matchLocation, match[0], line.text);
-        columnEntries++;
-      }
+function setLineNumbers(pdfLines, layouts = new Map()) {
+  let currentCol = null;
+  let lineNumber = 0;
+  pdfLines.forEach((line, ii) => {
+    // Check if the current line is in a new column
+    if (currentCol != line.column) {
+      currentCol = line.column;
+      lineNumber = 0; // Reset line number for the new column
     }
 
-    // If the current page number changes, check if there are more than 4 column entries
-    if (currentPage != line.page) {
-      if (columnEntries > 4) {
-        specPage = currentPage; // Set the specification start page
-        break; // Exit the loop
-      }
-      currentPage = line.page; // Update the current page number
-      columnEntries = 0; // Reset the column entries count
+    const lineMarkers = layouts.get(line.page)?.lineMarkers;
+    if (lineMarkers) {
+      // Never go back a line, e.g. for a subscript printed just below its line
+      lineNumber = Math.max(lineNumber, lineNumberAt(lineMarkers, line.y), 1);
+    } else if (lineNumber === 0) {
+      lineNumber = 1;
+    } else {
+      lineNumber += pdfLines[ii - 1].y - line.y > 14 ? 2 : 1;
     }
-  }
+
+    // Assign the current line number to the line object
+    line.lineNumber = lineNumber;
+  });
 }
 
 /** 
@@ -525,12 +740,10 @@ function findFirstSpecPageOld(extractedText, log = false) {
  *                                        extracted text from the PDF document,
  *                                        where each object contains the text,
  *                                        page number, and other properties.
- * @param {boolean} [log=false] - An optional flag to enable logging of
- *                                matched lines and their locations.
  * @returns {number} - The page number where the first specification starts,
  *                     or -1 if no specification start page is found.
  */
-function findFirstSpecPage(extractedText, log = false) {
+function findFirstSpecPage(extractedText) {
   const pattern = /Sheet (\d+) of (\d+)/;
   let specPage = -1;
 
@@ -538,65 +751,443 @@ function findFirstSpecPage(extractedText, log = false) {
     const line = extractedText[ii];
     const match = line.text.match(pattern);
     if (match) {
-      console.log(line.text);
       specPage = parseInt(match[2], 10) + 1;
       break;
     }
   };
 
-
-  // Log the specification start page
-  if (log) console.log(`Spec start page: ${specPage}`);
   return specPage; // Return the specification start page
 }
 
+// Matches the paragraph numbers of a published application, e.g. "[0042]"
+const paragraphNumberPattern = /\[(\d{4})\]/;
+
+// Matches the running header of a published application's pages, e.g.
+// "US 2019/0123456 A1  Apr. 25, 2019"
+const applicationHeaderPattern =
+  /^\s*(US \d{4}\/\d{7} A\d|Patent Application Publication)/;
+
+/**
+ * Determines whether the extracted text is a US pre-grant publication rather
+ * than a granted patent. Publications carry a "Patent Application Publication"
+ * header on the front page and drawing sheets, and number their
+ * paragraphs [0001], [0002], ... instead of numbering the lines of each column.
+ *
+ * @param {Array<Object>} extractedText - An array of objects representing the
+ *                                        extracted text from the PDF document.
+ * @returns {boolean} - True if the document is a published application.
+ */
+function isPublishedApplication(extractedText) {
+  const hasPublicationHeader = extractedText.some((entry) =>
+    /^\s*(\(\d+\)\s*)?Patent Application Publication/i.test(entry.text),
+  );
+  const paragraphCount = extractedText.filter((entry) =>
+    paragraphNumberPattern.test(entry.text),
+  ).length;
+  const isApplication = hasPublicationHeader || paragraphCount >= 3;
+
+  return isApplication;
+}
+
+/**
+ * Finds the first page of a published application's specification, which is
+ * the first page with a paragraph number. The front page (with the abstract)
+ * and the drawing sheets have none.
+ *
+ * @param {Array<Object>} extractedText - An array of objects representing the
+ *                                        extracted text from the PDF document.
+ * @returns {number} - The page number where the specification starts, or -1 if
+ *                     no paragraph number is found.
+ */
+function findFirstParagraphPage(extractedText) {
+  const firstParagraph = extractedText.find((entry) =>
+    paragraphNumberPattern.test(entry.text),
+  );
+  const specPage = firstParagraph ? firstParagraph.page : -1;
+
+  return specPage;
+}
+
+/**
+ * Assigns paragraph numbers to the lines of a published application. Every
+ * line belongs to the paragraph whose number last appeared above it, and the
+ * lines before the first paragraph number (the title) get null. Bare page
+ * numbers are dropped.
+ *
+ * @param {Array<Object>} pdfLines - The combined lines of the specification, in reading order.
+ * @returns {Array<Object>} - The lines with a `paragraph` property holding the
+ *                            four-digit paragraph number, e.g. "0042".
+ */
+function setParagraphNumbers(pdfLines) {
+  let paragraph = null;
+
+  const paragraphLines = pdfLines
+    .filter((line) => !/^\s*\d+\s*$/.test(line.text))
+    .map((line) => {
+      const match = line.text.match(paragraphNumberPattern);
+      if (match) {
+        paragraph = match[1];
+      }
+      return { ...line, paragraph };
+    });
+
+  return paragraphLines;
+}
+
+// Matches the line that introduces the claims, e.g. "What is claimed is:" or "I claim:"
+const claimsHeaderPattern =
+  /^\s*(?:what (?:is|i|we) claim(?:ed)?(?: is)?|(?:i|we) claim|the invention claimed is)\s*:/i;
+
+// Matches the number at the start of a claim, e.g. "7. The method of claim 3"
+const claimNumberPattern = /^\s*(\d{1,3})\s*\.\s/;
+
+/**
+ * Assigns claim numbers to the lines of the claims section, which starts after
+ * the line introducing the claims ("What is claimed is:", "I claim:", ...) and
+ * runs to the end of the document. A claim starts at a line beginning with the
+ * next claim number, so numbered lists inside a claim are not taken for claims.
+ * Lines of a published application's claims are not part of any paragraph.
+ *
+ * @param {Array<Object>} pdfLines - The numbered lines of the document, in reading order.
+ * @returns {Array<Object>} - The lines, with a `claim` property on each line of a claim.
+ */
+function setClaimNumbers(pdfLines) {
+  const headerIndex = pdfLines.findIndex((line) =>
+    claimsHeaderPattern.test(line.text),
+  );
+  if (headerIndex === -1) return pdfLines;
+
+  let claim = 0;
+  pdfLines.slice(headerIndex).forEach((line, i) => {
+    // The first claim may follow the header on the same line
+    const text =
+      i === 0 ? line.text.replace(claimsHeaderPattern, "") : line.text;
+    const match = text.match(claimNumberPattern);
+    if (match && Number(match[1]) === claim + 1) {
+      claim++;
+    }
+
+    if (claim > 0) {
+      line.claim = claim;
+      if (line.paragraph !== undefined) line.paragraph = null;
+    }
+
+  });
+
+  return pdfLines;
+}
+
+// Matches the headings of the sections of a specification, by the name each
+// section is tagged with. Headings are sometimes numbered ("1. Field of the
+// Invention") and the longer ones may wrap onto a second line.
+const sectionHeadingPatterns = {
+  field: /^(?:technical )?field/i,
+  background:
+    /^(?:background|description of (?:the )?(?:related|prior) art|related art|prior art)/i,
+  summary:
+    /^(?:(?:brief )?summary|disclosure of (?:the )?invention)/i,
+  drawings:
+    /^(?:brief )?description of (?:the )?(?:several views of the )?(?:drawings?|figures)/i,
+  description:
+    /^(?:detailed description|description of (?:the )?(?:preferred |exemplary |illustrative |specific )?embodiments?|(?:best )?modes? (?:for|of) carrying out)/i,
+  claims: /^claims?$/i,
+};
+
+// Matches the numbering of a heading, e.g. "1." or "II."
+const headingNumberPattern = /^\s*(?:\d{1,2}|[IVX]{1,4}|[A-Z])\.\s*/;
+
+// Matches the words a heading may go on with after the name of its section,
+// e.g. "OF THE PREFERRED EMBODIMENTS" after "DETAILED DESCRIPTION"
+const headingWordsPattern =
+  /^(?:\s+(?:of|the|and|present|invention|disclosure|application|preferred|exemplary|illustrative|specific|certain|embodiments?|aspects?|related|prior|art|several|views|drawings?|figures?))*$/i;
+
+/**
+ * Reads the section a heading line starts. A heading is the name of a section
+ * ("BACKGROUND", "Field of the Invention"), followed by nothing but the usual
+ * words of headings, so a sentence or a title that starts with the same words
+ * ("FIELD EFFECT TRANSISTOR") is not taken for one. The first line of a
+ * heading that wraps onto two lines is recognized on its own.
+ *
+ * @param {string} text - The text of a line.
+ * @returns {string|null} - The name of the section, or null if the line is not a heading.
+ */
+function getSectionHeading(text) {
+  const heading = text.replace(headingNumberPattern, "").replace(/\s*:\s*$/, "").trim();
+
+  for (const [section, pattern] of Object.entries(sectionHeadingPatterns)) {
+    const match = heading.match(pattern);
+    if (match && headingWordsPattern.test(heading.slice(match[0].length))) {
+      return section;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tags each line with the section of the specification it belongs to: the
+ * "field", "background", "summary", "drawings" (the brief description of the
+ * drawings), "description" (the detailed description) or "claims". A section
+ * runs from its heading to the next heading, and the claims from the line
+ * introducing them to the end of the document. Lines before the first heading,
+ * such as the title, are in no section.
+ *
+ * @param {Array<Object>} pdfLines - The numbered lines of the document, in reading order,
+ *                                   after `setClaimNumbers`.
+ * @returns {Array<Object>} - The lines, with a `section` property on each line (null if none).
+ */
+function setSections(pdfLines) {
+  const claimsIndex = pdfLines.findIndex((line) =>
+    claimsHeaderPattern.test(line.text),
+  );
+
+  let section = null;
+  pdfLines.forEach((line, i) => {
+    if (claimsIndex !== -1 && i >= claimsIndex) {
+      section = "claims";
+    } else {
+      section = getSectionHeading(line.text) || section;
+    }
+    line.section = section;
+  });
+
+  return pdfLines;
+}
+
+/**
+ * Processes the extracted text of a published application into lines cited by
+ * paragraph number instead of column and line.
+ *
+ * @param {Array<Object>} pdfText - The text extracted by `extractTextFromPDF`.
+ * @returns {Array<Object>} - The lines of the specification with paragraph numbers.
+ * @throws {Error} - A LAYOUT_UNRECOGNIZED error if no paragraph numbers were found.
+ */
+function getApplicationLines(pdfText) {
+  const specStartPage = findFirstParagraphPage(pdfText);
+  logger.log(`Spec starts at page ${specStartPage}`);
+
+  if (specStartPage > 0) {
+    // Drop the running header before it is split into columns
+    const headerLines = combineTextEntries(pdfText, specStartPage).filter(
+      (line) => applicationHeaderPattern.test(line.text),
+    );
+
+    // Read each page column by column, so the paragraphs are in order
+    const specText = pdfText.filter(
+      (entry) =>
+        entry.page >= specStartPage &&
+        !headerLines.some(
+          (line) => line.page === entry.page && isSameLine(entry, line),
+        ),
+    );
+    const columnLayouts = detectColumnLayouts(specText);
+    const columnText = splitEntriesByColumn(specText, columnLayouts);
+
+    const combinedPDFText = combineTextEntries(columnText, specStartPage);
+    const finalLines = setParagraphNumbers(combinedPDFText);
+    setClaimNumbers(finalLines);
+    setSections(finalLines);
+    return finalLines;
+  }
+
+  throw createError(
+    "LAYOUT_UNRECOGNIZED",
+    "The PDF looks like a published application, but its paragraphs are not numbered, so they cannot be cited",
+  );
+}
+
+/**
+ * Collects the lines of the front page(s), which hold the bibliographic data.
+ * The front pages are the pages before the first drawing sheet, or just the
+ * first page if there are no drawing sheets. They are split into columns like
+ * the specification, so each column is read top to bottom.
+ *
+ * @param {Array<Object>} pdfText - The text extracted by `extractTextFromPDF`.
+ * @returns {Array<Object>} - The combined lines of the front pages, in reading order.
+ */
+function getFrontPageLines(pdfText) {
+  const firstSheet = pdfText.find((entry) => /Sheet \d+ of \d+/.test(entry.text));
+  const lastFrontPage = firstSheet && firstSheet.page > 1 ? firstSheet.page - 1 : 1;
+
+  const frontPageText = pdfText.filter((entry) => entry.page <= lastFrontPage);
+  const columnLayouts = detectColumnLayouts(frontPageText);
+  const columnText = splitEntriesByColumn(frontPageText, columnLayouts);
+
+  return combineTextEntries(columnText, 1);
+}
+
+// Matches the figure labels of a drawing sheet, e.g. "FIG. 3" or "FIG.12B"
+const figureLabelPattern = /\bFIG(?:URE)?\.?\s*(\d+[A-Z]?)\b/gi;
+
+// Matches a reference numeral printed in a drawing, e.g. "12", "140" or "12a"
+const drawingNumeralPattern = /^\d{1,4}[a-z]?'?$/;
+
+/**
+ * Reads the drawing sheets of a patent, i.e. the pages with a "Sheet X of Y"
+ * header, for the figure labels and the reference numerals printed on each.
+ * A numeral belongs to the figure whose label is closest to it, as a sheet
+ * may hold several figures. The header line itself (dates, the patent number)
+ * is left out.
+ *
+ * @param {Array<Object>} pdfText - The text extracted by `extractTextFromPDF`.
+ * @returns {Array<Object>} - The drawing sheets in order, each with its `sheet` number, `page`,
+ *                            `figures` (e.g. ["3", "4A"]) and `numerals`, each with its `numeral`
+ *                            and the `figure` it belongs to (null if the sheet has no figure label).
+ */
+function getDrawingSheets(pdfText) {
+  let sheets = [];
+
+  pdfText.forEach((entry) => {
+    const match = entry.text.match(/Sheet (\d+) of (\d+)/);
+    if (match && !sheets.some((sheet) => sheet.page === entry.page)) {
+      sheets.push({ sheet: Number(match[1]), page: entry.page, header: entry });
+    }
+  });
+
+  return sheets.map(({ sheet, page, header }) => {
+    const pageEntries = pdfText.filter(
+      (entry) => entry.page === page && !isSameLine(entry, header),
+    );
+
+    // The figure labels, with their position
+    let labels = [];
+    pageEntries.forEach((entry) => {
+      for (const match of entry.text.matchAll(figureLabelPattern)) {
+        labels.push({ figure: match[1].toUpperCase(), x: entry.x, y: entry.y });
+      }
+    });
+
+    // The numerals, assigned to the closest figure label
+    let numerals = [];
+    pageEntries.forEach((entry) => {
+      entry.text
+        .replace(figureLabelPattern, " ")
+        .split(/\s+/)
+        .filter((token) => drawingNumeralPattern.test(token))
+        .forEach((numeral) => {
+          const closestLabel = labels.reduce(
+            (closest, label) =>
+              !closest ||
+              Math.hypot(label.x - entry.x, label.y - entry.y) <
+                Math.hypot(closest.x - entry.x, closest.y - entry.y)
+                ? label
+                : closest,
+            null,
+          );
+          const figure = closestLabel ? closestLabel.figure : null;
+          if (
+            !numerals.some(
+              (other) => other.numeral === numeral && other.figure === figure,
+            )
+          ) {
+            numerals.push({ numeral, figure });
+          }
+        });
+    });
+
+    return {
+      sheet,
+      page,
+      figures: [...new Set(labels.map((label) => label.figure))],
+      numerals,
+    };
+  });
+}
+
+/**
+ * Loads a PDF document from its raw bytes and extracts the positioned text of
+ * every page, before any column or line numbering.
+ *
+ * @param {ArrayBuffer|Uint8Array|Buffer} pdfData - The raw bytes of the PDF document.
+ * @param {Object} [options] - The progress and cancellation options of `extractTextFromPDF`.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the text entries returned by `extractTextFromPDF`.
+ */
+async function getPDFText(pdfData, options = {}) {
+  const pdfDocument = await extractPDFDocFromData(pdfData);
+
+  return extractTextFromPDF(pdfDocument, options);
+}
+
 /**
  * This function asynchronously retrieves and processes a PDF document.
- * It extracts the PDF document from a given URL, extracts text from it,
- * finds the starting page of specifications within the text, and processes
- * the text to return final lines of text with line numbers.
+ * It loads the PDF document from its raw bytes, extracts text from it, finds
+ * the starting page of specifications within the text, and processes the text
+ * to return final lines of text with line numbers. Published applications are detected and
+ * returned with paragraph numbers instead of column and line numbers. Lines
+ * of the claims also carry the number of their claim. The bibliographic data
+ * of the front page is returned alongside the lines.
  *
- * @param {string} pdfURL - The URL of the PDF document to process.
- * @returns {Promise<Array<string>>} - A promise that resolves to an array of lines of text with line numbers.
+ * @param {ArrayBuffer|Uint8Array|Buffer} pdfData - The raw bytes of the PDF document to process.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the progress of each page, see `extractTextFromPDF`.
+ * @param {AbortSignal} [options.signal] - Stops the parse when aborted.
+ * @returns {Promise<Object>} - A promise that resolves to the `lines` of text with line numbers
+ *                              and their `section` (see `setSections`), the front page `metadata` and the `drawingSheets` (see `getDrawingSheets`).
+ * @throws {Error} - A NO_TEXT_LAYER error if no text could be read from the PDF, or a
+ *                   LAYOUT_UNRECOGNIZED error if the start of the specification was not found.
  */
-async function getPDF(pdfURL) {
-  // Extract the PDF document from the provided URL
-  const pdfDocument = await extractPDFDocFromUrl(pdfURL);
+async function getPDF(pdfData, options = {}) {
+  // Extract the text of the PDF document from the provided bytes
+  const pdfText = await getPDFText(pdfData, options);
+
+  // A scanned PDF that OCR could not read (or with OCR disabled) has nothing to number
+  if (!pdfText.some((entry) => entry.text.trim())) {
+    throw createError("NO_TEXT_LAYER", "The PDF has no text layer and OCR could not read its pages");
+  }
 
-  // Extract text from the PDF document
-  const pdfText = await extractTextFromPDF(pdfDocument, false);
+  // Read the bibliographic data from the front page
+  const metadata = parseFrontPage(getFrontPageLines(pdfText));
+
+  // Read the figures and reference numerals of the drawings
+  const drawingSheets = getDrawingSheets(pdfText);
+
+  // Published applications are cited by paragraph, not by column and line
+  if (isPublishedApplication(pdfText)) {
+    logger.log("Document is a published application");
+    return { lines: getApplicationLines(pdfText), metadata, drawingSheets };
+  }
 
   // Find the starting page of specifications within the extracted text
-  const specStartPage = findFirstSpecPage(pdfText, false);
-  console.log(`Spec starts at page ${specStartPage}`);
+  const specStartPage = findFirstSpecPage(pdfText);
+  logger.log(`Spec starts at page ${specStartPage}`);
 
   // If the starting page of specifications is found
   if (specStartPage > 0) {
-    // Combine text entries from the starting page of specifications
-    const combinedPDFText = combineTextEntries(pdfText, specStartPage, false);
-    // Find the starting line of specifications within the combined text
-    const specStartLine = getSpecPageStartLine(combinedPDFText, false);
-    console.log(`Spec page lines start at ${specStartLine}`);
-    // Split the combined text by line number
-    const splitPDFLines = splitLineByLineNumber(
-      combinedPDFText,
-      specStartLine,
-      false,
+    // Find the starting line of specifications from the header of the first spec page
+    const specStartLine = getSpecPageStartLine(
+      combineTextEntries(pdfText, specStartPage)
     );
+    logger.log(`Spec page lines start at ${specStartLine}`);
+
+    // Infer the column gutter of each page and split the text into columns
+    const specText = pdfText.filter((entry) => entry.page >= specStartPage);
+    const columnLayouts = detectColumnLayouts(specText);
+    const columnText = splitEntriesByColumn(specText, columnLayouts);
 
-    // Split lines by size and set line numbers
-    let finalLines = splitLinesBySize(splitPDFLines, 64, false);
-    setLineNumbers(finalLines, false);
-    formatLines(finalLines, false);
+    // Combine the text of each column into lines, dropping the page header
+    const combinedPDFText = combineTextEntries(
+      columnText,
+      specStartPage
+    ).filter((line) => line.y < specStartLine);
+
+    // Number the columns and lines
+    let finalLines = setColumnNumbers(combinedPDFText);
+    setLineNumbers(finalLines, columnLayouts);
+    setClaimNumbers(finalLines);
+    setSections(finalLines);
 
     // Return the final lines of text with line numbers
-    return finalLines;
+    return { lines: finalLines, metadata, drawingSheets };
   }
-}
 
-function formatLines(pdfLines, log = false) {
-  pdfLines.forEach(line => {
-    line.text = line.text.replaceAll(" , ", ", ").replaceAll(" 's", "'s").replaceAll(" .", ".");
-  })
+  throw createError(
+    "LAYOUT_UNRECOGNIZED",
+    "The PDF does not have the layout of a US patent or published application, so its lines cannot be numbered"
+  );
 }
-module.exports = { getPDF, };
\ No newline at end of file
+
+module.exports = {
+  getPDF,
+  getPDFText,
+  getFrontPageLines,
+  getDrawingSheets,
+};
@@ -1,40 +1,129 @@
-const cheerio = require('cheerio');
 const { getPDF } = require('./pdfParser')
+const {
+  findMatchingTerms,
+  getSearchIndex,
+  toSearchKey,
+} = require('./searchIndex')
+const { alignSearch } = require('./tokenAlignment')
+const { normalizeText, normalizeWords } = require('./textNormalization')
+const { fetchPDF } = require('./providers')
 
-async function createSearchablePDF(documentNumber) {
+/**
+ * Fetches a patent from the configured document providers (Google Patents by
+ * default) and turns it into a searchable PDF.
+ *
+ * @param {string} documentNumber - The patent document number (excluding the "US" prefix).
+ * @param {Object} [options] - An `onProgress` callback for the download and the parse, and a cancellation `signal`.
+ * @returns {Promise<Array>} A promise that resolves with the searchable PDF, the numbered PDF lines,
+ *                           the front page metadata and the drawing sheets.
+ */
+async function createSearchablePDF(documentNumber, options = {}) {
+  const pdfData = await fetchPDF(documentNumber, options)
 
-  const pdfUrl = await getPDFUrlFromDocNum(documentNumber);
+  return createSearchablePDFFromData(pdfData, options)
+}
 
-  let combinedPDFLines = await getPDF(pdfUrl)
+/**
+ * Turns the raw bytes of a PDF (e.g. an uploaded file) into a searchable PDF,
+ * using the same pipeline as documents fetched by number.
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer} pdfData - The raw bytes of the PDF document.
+ * @param {Object} [options] - An `onProgress` callback for the parse, and a cancellation `signal`.
+ * @returns {Promise<Array>} A promise that resolves with the searchable PDF, the numbered PDF lines,
+ *                           the front page metadata and the drawing sheets.
+ */
+async function createSearchablePDFFromData(pdfData, options = {}) {
+  const {
+    lines: combinedPDFLines,
+    metadata,
+    drawingSheets,
+  } = await getPDF(pdfData, options)
+
+  return [
+    toSearchablePDF(combinedPDFLines),
+    combinedPDFLines,
+    metadata,
+    drawingSheets,
+  ]
+}
 
-  let searchAblePDF = []
+/**
+ * Splits numbered PDF lines into the word list `searchPDF` works on, and runs
+ * the words through the text normalization stage (see `normalizeWords`).
+ *
+ * @param {Array<Object>} combinedPDFLines - The numbered lines returned by `getPDF`.
+ * @returns {Array<Object>} An array of words with their column, line (or paragraph, for published applications),
+ *                          claim number (in the claims), section, position on the page, and text.
+ */
+function toSearchablePDF(combinedPDFLines) {
+  let pdfWords = []
   combinedPDFLines.forEach((item) => {
     // Split the text into words
     const words = item.text.split(' ')
 
-    // For each word, create a new item object and push it to the searchAblePDF array
+    // Lines of a published application before its first paragraph (the title) cannot be cited
+    if (item.paragraph === null && !item.claim) {
+      return
+    }
+
+    // Place each word on the page by its share of the line's characters, for highlighting
+    const charWidth = item.width / item.text.length
+    let offset = 0
+
+    // For each word, create a new item object and push it to the pdfWords array
     words.forEach((word) => {
-      if (item.column != 0) {
-        searchAblePDF.push({
+      const wordOffset = offset
+      offset += word.length + 1
+      if (item.column != 0 && word.trim()) {
+        pdfWords.push({
           column: item.column,
           line: item.lineNumber,
-          text: word.toLowerCase().trim(),
+          paragraph: item.paragraph,
+          claim: item.claim,
+          section: item.section,
+          page: item.page,
+          x: item.x + wordOffset * charWidth,
+          y: item.y,
+          width: word.length * charWidth,
+          height: item.height,
+          text: word.trim(),
+          word: word.trim(),
+          // Words read by OCR carry the confidence of the line they were recognized on
+          ...(item.ocr && { ocr: true, confidence: item.confidence }),
         })
       }
     })
   })
 
-  return [searchAblePDF, combinedPDFLines]
+  // Normalize the words after splitting, so each one keeps the position it was printed at
+  const searchAblePDF = normalizeWords(pdfWords)
+
+  // Build the search index once, up front, so every search against this document reuses it
+  getSearchIndex(searchAblePDF)
+
+  return searchAblePDF
 }
 
 /**
  * Searches through a searchable PDF (an array of words with their positions) for a given search string.
- * This function implements a fuzzy search mechanism, allowing for approximate matches within a specified Levenshtein distance.
- * It identifies sequences of words in the PDF that closely match the search string tokens, considering potential hyphenated words.
+ * This function implements a fuzzy search mechanism on top of an n-gram index of the document's words:
+ * for each search string token it retrieves the indexed terms within the edit distance allowed for the
+ * token's length, then checks which occurrences of the first token are followed by matches for the rest.
+ * The search string is normalized like the document's words (see `normalizeText`), so "um" matches "μm".
+ * Words hyphenated across two lines are matched as the joined word.
+ * In 'align' mode the search string is instead aligned against the document with missing, extra and reordered
+ * words allowed, so paraphrased passages are found too.
  *
  * @param {Array} searchablePDF An array of objects, where each object represents a word from the PDF with its position (column, line, text).
  * @param {string} searchString The string to search for within the PDF. This string is tokenized and searched for in the PDF.
- * @returns {Array} An array of arrays, where each inner array contains objects representing the found tokens that match the search string.
+ * @param {Object} [options]
+ * @param {string} [options.mode='sequence'] 'sequence' to require every token in order, or 'align' to allow missing, extra and reordered words.
+ * @param {number} [options.minCoverage=0.6] In 'align' mode, the minimum share of the search string tokens a passage must contain.
+ * @param {Array<string>} [options.sections] Only return matches that start in one of these sections (see `setSections`),
+ *                                           e.g. ['summary', 'description'] to skip the background art.
+ * @returns {Array} An array of matches, where each match is an object with the found `tokens` that match the search string
+ *                 and a similarity `score` between 0 and 1 (1 being an exact match). In 'align' mode each match also has
+ *                 the `coverage` of the search string tokens between 0 and 1.
  *                 If no matches are found, an empty array is returned.
  *
  * @example
@@ -47,180 +136,94 @@ async function createSearchablePDF(documentNumber) {
  * const results = searchPDF(searchablePDF, searchString);
  * console.log(results); // Outputs the found sequences that match the search string
  */
-function searchPDF(searchablePDF, searchString) {
-  const searchStringTokens = searchString.trim().toLowerCase().split(/\s+/)
-  let searchResults = []
-
-  for (let i = 0; i <= searchablePDF.length - searchStringTokens.length; i++) {
-    let foundTokens = []
-    let sequenceMatches = true
-
-    for (let j = 0; j < searchStringTokens.length; j++) {
-      const currentToken = searchStringTokens[j]
-      const pdfText = searchablePDF[i + j].text.toLowerCase()
-
-      // Direct fuzzy match for the current token
-      if (levenshteinDistance(pdfText, currentToken) <= 2) {
-        foundTokens.push(searchablePDF[i + j])
-        continue
-      } else if (
-        i + j + 1 < searchablePDF.length &&
-        searchablePDF[i + j].line != searchablePDF[i + j + 1].line
-      ) {
-        // If at the end of the line check a possible word split between two lines
-        const possibleHyphenatedWord =
-          searchablePDF[i + j].text + searchablePDF[i + j + 1].text
-        if (levenshteinDistance(possibleHyphenatedWord, currentToken) <= 2) {
-          foundTokens.push(searchablePDF[i + j])
-          i++ // skip over the second part of the hyphenated word
-          continue
-        }
-      }
-
-      sequenceMatches = false
-      break
-    }
-
-    if (sequenceMatches) {
-      searchResults.push(foundTokens)
-    }
+function searchPDF(searchablePDF, searchString, options = {}) {
+  const index = getSearchIndex(searchablePDF)
+  const searchStringTokens = normalizeText(searchString)
+    .trim()
+    .split(/\s+/)
+    .map(toSearchKey)
+    .filter((token) => token)
+  if (searchStringTokens.length === 0) {
+    return []
   }
-
-  return searchResults
-}
-
-/**
- * Calculates the Levenshtein distance between two strings, which is the minimum number of single-character 
- * edits (insertions, deletions, or substitutions) required to change one string into the other.
- * This function is often used in fuzzy string matching to quantify the difference between two strings.
- *
- * @param {string} a The first string to compare.
- * @param {string} b The second string to compare.
- * @returns {number} The Levenshtein distance between the two strings. A distance of 0 indicates 
- * that the strings are identical.
- *
- * @example
- * const distance = levenshteinDistance('kitten', 'sitting');
- * console.log(distance); // Outputs: 3
- */
-function levenshteinDistance(a, b) {
-  const matrix = []
-
-  // Ensure that a is the shorter string.
-  if (a.length > b.length) {
-    ;[a, b] = [b, a]
+  const searchStringLength = searchStringTokens.join('').length
+
+  // The document terms each search string token matches, with their distances
+  const tokenMatches = searchStringTokens.map((token) =>
+    findMatchingTerms(index, token)
+  )
+
+  if (options.mode === 'align') {
+    return filterSections(
+      alignSearch(searchablePDF, index, searchStringTokens, tokenMatches, options),
+      options.sections
+    )
   }
 
-  // Initialize the first row of the matrix.
-  for (let i = 0; i <= b.length; i++) {
-    matrix[i] = [i]
-  }
+  // Every occurrence of a term matching the first token is a candidate start of a match
+  const candidateStarts = new Set()
+  tokenMatches[0].forEach((_, term) => {
+    index.termPositions.get(term).forEach((i) => candidateStarts.add(i))
+  })
 
-  // Initialize the first column of the matrix.
-  for (let i = 1; i <= a.length; i++) {
-    matrix[0][i] = i
-  }
+  let searchResults = []
+  ;[...candidateStarts]
+    .sort((a, b) => a - b)
+    .forEach((start) => {
+      let foundTokens = []
+      let totalDistance = 0
+      let i = start
+
+      for (let j = 0; j < searchStringTokens.length; j++) {
+        if (i >= index.keys.length) {
+          return
+        }
 
-  // Populate the matrix.
-  for (let i = 1; i <= b.length; i++) {
-    for (let j = 1; j <= a.length; j++) {
-      if (b.charAt(i - 1) === a.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1]
-      } else {
-        matrix[i][j] =
-          Math.min(
-            matrix[i - 1][j - 1], // substitution
-            matrix[i][j - 1], // insertion
-            matrix[i - 1][j] // deletion
-          ) + 1
+        const distance = tokenMatches[j].get(index.keys[i])
+        const joinedDistance = tokenMatches[j].get(index.joinedKeys[i])
+
+        // The first part of a hyphenated word can be close enough to the token on
+        // its own ("compris" for "comprising"), so the joined word wins a tie
+        if (joinedDistance !== undefined && !(distance < joinedDistance)) {
+          // Keep both parts so the match ends on the line the word ends on
+          foundTokens.push(
+            searchablePDF[index.positions[i]],
+            searchablePDF[index.positions[i + 1]]
+          )
+          totalDistance += joinedDistance
+          i += 2
+        } else if (distance !== undefined) {
+          foundTokens.push(searchablePDF[index.positions[i]])
+          totalDistance += distance
+          i++
+        } else {
+          return
+        }
       }
-    }
-  }
 
-  return matrix[b.length][a.length]
-}
-
-/**
- * Fetches the HTML content for a given URL.
- * 
- * @param {string} url - The URL of the web page to fetch.
- * @returns {Promise<string>} A promise that resolves with the HTML content of the page.
- */
-async function fetchHtmlContent(url) {
-  // Dynamically imports node-fetch to fetch the PDF
-  const fetch = (await import("node-fetch")).default;
-
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch page: ${response.statusText}`);
-    }
-    return await response.text();
-  } catch (error) {
-    console.error('Error fetching HTML content:', error);
-    throw error;
-  }
-}
+      const score = Math.max(0, 1 - totalDistance / searchStringLength)
+      searchResults.push({ tokens: foundTokens, score })
+    })
 
-/**
- * Parses the HTML content of a web page to find the first URL that starts with https:// and ends with .pdf.
- * 
- * @param {string} html - The HTML content of the web page.
- * @returns {string|null} The first matching PDF URL found, or null if none is found.
- */
-function findPdfUrl(html) {
-  const $ = cheerio.load(html);
-  let pdfUrl = null;
-  $('a').each(function () {
-    const href = $(this).attr('href');
-    if (href && href.startsWith('https://') && href.endsWith('.pdf')) {
-      pdfUrl = href;
-      return false; // Break the loop once a match is found
-    }
-  });
-  return pdfUrl;
+  return filterSections(searchResults, options.sections)
 }
 
 /**
- * ****************************************************************
- * Fetches the PDF URL for a patent document from Google Patents.
- * ****************************************************************
- * This function constructs a URL to access a specific patent document on Google Patents,
- * fetches the HTML content of the page, and then searches for the first PDF URL within that content.
- * 
- * @param {string} documentNumber - The patent document number (excluding the "US" prefix).
- * @returns {Promise<string|null>} A promise that resolves with the URL of the PDF document,
- *                                 or null if no PDF link is found.
- * 
- * Usage Example:
- * getPDFUrlFromDocNum('1234567').then((pdfUrl) => {
- *   if (pdfUrl) {
- *     console.log(`PDF URL: ${pdfUrl}`);
- *   } else {
- *     console.log('PDF URL not found.');
- *   }
- * });
- * 
- * Note: This function depends on the `fetchHtmlContent` and `findPdfUrl` functions
- *       to respectively fetch the HTML content of a web page and to parse that content
- *       for a specific URL pattern.
- * ****************************************************************
+ * Keeps the matches that start in one of the given sections of the document.
+ *
+ * @param {Array<Object>} matches - The matches found by `searchPDF`.
+ * @param {Array<string>} [sections] - The sections to keep, or all of them if not given.
+ * @returns {Array<Object>} The matches in those sections.
  */
-async function getPDFUrlFromDocNum(documentNumber) {
-  // Construct the URL for the Google Patents page for the given document number
-  const googlePageURL = `https://patents.google.com/patent/US${documentNumber}`;
-
-  // Fetch the HTML content of the Google Patents page
-  const googlePageHTML = await fetchHtmlContent(googlePageURL);
-
-  // Search the HTML content for the first PDF URL and return it
-  const pdfUrl = findPdfUrl(googlePageHTML);
-
-  return pdfUrl;
+function filterSections(matches, sections) {
+  if (!sections || sections.length === 0) {
+    return matches
+  }
+  return matches.filter((match) => sections.includes(match.tokens[0].section))
 }
 
-
 module.exports = {
   createSearchablePDF,
+  createSearchablePDFFromData,
   searchPDF,
 }
@@ -0,0 +1,86 @@
+const { parentPort } = require('worker_threads')
+const pdfSearch = require('./pdfSearch')
+const { getSearchIndex } = require('./searchIndex')
+const { isAppError } = require('./errors')
+
+// The documents searched most recently, by document key, with their version,
+// so their search index is only built once per worker
+const maxIndexedDocuments = 4
+let indexedDocuments = new Map()
+
+/**
+ * Returns this worker's copy of a searchable PDF, keeping the copy it already
+ * built an index for if the document has the same version. A document
+ * without a version is never reused.
+ *
+ * @param {string} documentKey - The patent number or upload ID of the document.
+ * @param {string} [documentVersion] - The version of the document, from `getDocumentVersion`.
+ * @param {Array<Object>} [searchablePDF] - The searchable PDF sent with the job, if any.
+ * @returns {Array<Object>|null} The searchable PDF to search, or null if the
+ *                               job did not send it and this worker has no current copy.
+ */
+function getIndexedDocument(documentKey, documentVersion, searchablePDF) {
+  const indexedDocument = indexedDocuments.get(documentKey)
+  const document =
+    indexedDocument && documentVersion && indexedDocument.version === documentVersion
+      ? indexedDocument.searchablePDF
+      : searchablePDF
+  if (!document) {
+    return null
+  }
+
+  indexedDocuments.delete(documentKey)
+  indexedDocuments.set(documentKey, { version: documentVersion, searchablePDF: document })
+
+  // Forget the least recently searched document
+  if (indexedDocuments.size > maxIndexedDocuments) {
+    indexedDocuments.delete(indexedDocuments.keys().next().value)
+  }
+  return document
+}
+
+// The jobs the worker runs, by task name
+const tasks = {
+  // Parses the raw bytes of a PDF into the searchable PDF, numbered lines, metadata and drawing sheets
+  parse({ pdfData }, onProgress) {
+    return pdfSearch.createSearchablePDFFromData(pdfData, { onProgress })
+  },
+
+  // Searches a document for each search string, returning one list of matches
+  // per string, or null if the searchable PDF is needed but was not sent
+  search(
+    { documentKey, documentVersion, searchablePDF, searchStrings, searchOptions },
+    onProgress
+  ) {
+    const document = getIndexedDocument(documentKey, documentVersion, searchablePDF)
+    if (!document) {
+      return null
+    }
+    onProgress({ stage: 'indexing' })
+    getSearchIndex(document)
+    onProgress({ stage: 'searching' })
+    return searchStrings.map((searchString) =>
+      pdfSearch.searchPDF(document, searchString, searchOptions)
+    )
+  },
+}
+
+parentPort.on('message', async ({ id, task, data }) => {
+  const onProgress = (progress) =>
+    parentPort.postMessage({ id, type: 'progress', progress })
+
+  try {
+    const result = await tasks[task](data, onProgress)
+    parentPort.postMessage({ id, type: 'result', result })
+  } catch (error) {
+    parentPort.postMessage({
+      id,
+      type: 'error',
+      error: {
+        message: error.message,
+        code: isAppError(error) ? error.code : undefined,
+        stack: error.stack,
+      },
+    })
+  }
+})
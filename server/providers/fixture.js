@@ -0,0 +1,66 @@
+const fs = require('fs/promises')
+const path = require('path')
+const config = require('../config')
+
+/**
+ * Reads the PDFs listed in a fixture manifest, a JSON file mapping document
+ * numbers to PDF files relative to the manifest, e.g. `{ "7123456": "sample.pdf" }`.
+ *
+ * @param {string} manifestPath - The path of the manifest.
+ * @returns {Promise<Object>} A promise that resolves with the paths of the PDFs by document number.
+ */
+async function readManifest(manifestPath) {
+  const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'))
+  const manifestDir = path.dirname(manifestPath)
+
+  return Object.fromEntries(
+    Object.entries(manifest).map(([documentNumber, fileName]) => [
+      documentNumber,
+      path.resolve(manifestDir, fileName),
+    ])
+  )
+}
+
+/**
+ * Creates a provider that serves a fixed set of PDFs, for tests. The PDFs
+ * are either given in memory or listed in a manifest file, and no other
+ * document is ever found, so tests never reach the network.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.fixtures] - PDFs by document number, as Buffers or file paths.
+ * @param {string} [options.manifest=config.providers.fixtureManifest] - The
+ *        manifest to read the fixtures from when none are given.
+ * @returns {Object} The provider, with its `name` and `fetchPDF` function.
+ */
+function createFixtureProvider({
+  fixtures,
+  manifest = config.providers.fixtureManifest,
+} = {}) {
+  let loadingFixtures = null
+
+  return {
+    name: 'fixture',
+
+    /**
+     * @param {string} documentNumber - The normalized patent or publication number.
+     * @returns {Promise<Buffer|null>} The PDF, or null if there is no fixture for the number.
+     */
+    async fetchPDF(documentNumber) {
+      // The manifest is read once, on the first lookup
+      if (!loadingFixtures) {
+        loadingFixtures =
+          fixtures || !manifest ? Promise.resolve(fixtures || {}) : readManifest(manifest)
+      }
+      const fixture = (await loadingFixtures)[documentNumber]
+
+      if (!fixture) {
+        return null
+      }
+      return Buffer.isBuffer(fixture) ? fixture : fs.readFile(fixture)
+    },
+  }
+}
+
+module.exports = {
+  createFixtureProvider,
+}
@@ -0,0 +1,134 @@
+const cheerio = require('cheerio');
+const { fetchUpstream } = require('./upstream')
+const { createError } = require('../errors')
+const logger = require('../logger')
+
+/**
+ * Fetches the HTML content for a given URL.
+ * 
+ * @param {string} url - The URL of the web page to fetch.
+ * @param {AbortSignal} [signal] - Cancels the request when aborted.
+ * @returns {Promise<string>} A promise that resolves with the HTML content of the page.
+ * @throws {Error} A DOCUMENT_NOT_FOUND error if the page does not exist.
+ */
+async function fetchHtmlContent(url, signal) {
+  try {
+    const html = await fetchUpstream(url, 'DOCUMENT_NOT_FOUND', { signal });
+    return html.toString();
+  } catch (error) {
+    console.error('Error fetching HTML content:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Parses the HTML content of a Google Patents page to find the URL of the PDF.
+ * The `citation_pdf_url` meta tag is used when the page has one, as it is
+ * less likely to change with the page layout than the download link; otherwise
+ * the first URL that starts with https:// and ends with .pdf is used.
+ * 
+ * @param {string} html - The HTML content of the web page.
+ * @returns {string|null} The PDF URL found, or null if none is found.
+ */
+function findPdfUrl(html) {
+  const $ = cheerio.load(html);
+  const citationPdfUrl = $('meta[name="citation_pdf_url"]').attr('content');
+  if (citationPdfUrl && citationPdfUrl.startsWith('https://')) {
+    return citationPdfUrl;
+  }
+
+  let pdfUrl = null;
+  $('a').each(function () {
+    const href = $(this).attr('href');
+    if (href && href.startsWith('https://') && href.endsWith('.pdf')) {
+      pdfUrl = href;
+      return false; // Break the loop once a match is found
+    }
+  });
+  return pdfUrl;
+}
+
+/**
+ * Converts a document number into the ID Google Patents uses in its URLs.
+ * Granted patents are used as-is ('7123456' becomes 'US7123456'), while
+ * 11-digit pre-grant publication numbers such as '2019/0123456' need the
+ * A1 kind code ('US20190123456A1').
+ *
+ * @param {string} documentNumber - The patent or publication number, with or without the "US" prefix.
+ * @returns {string} The Google Patents ID of the document.
+ */
+function toGooglePatentId(documentNumber) {
+  // Drop the country code and the spaces, commas and slashes of formatted numbers
+  const number = documentNumber
+    .toUpperCase()
+    .replace(/^US/, '')
+    .replace(/[\s,/]/g, '')
+
+  if (/^\d{11}$/.test(number)) {
+    return `US${number}A1`
+  }
+  return `US${number}`
+}
+
+/**
+ * Looks up a document on Google Patents and finds the URL of its PDF on the
+ * document's page.
+ *
+ * @param {string} documentNumber - The patent document number (excluding the "US" prefix), or an
+ *                                  11-digit publication number such as '2019/0123456'.
+ * @param {AbortSignal} [signal] - Cancels the request when aborted.
+ * @returns {Promise<string|null>} A promise that resolves with the URL of the PDF document,
+ *                                 or null if the page has no PDF link.
+ * @throws {Error} A DOCUMENT_NOT_FOUND error if Google Patents has no page for the document.
+ */
+async function getPDFUrlFromDocNum(documentNumber, signal) {
+  // Construct the URL for the Google Patents page for the given document number
+  const googlePageURL = `https://patents.google.com/patent/${toGooglePatentId(documentNumber)}`;
+
+  // Fetch the HTML content of the Google Patents page
+  const googlePageHTML = await fetchHtmlContent(googlePageURL, signal);
+
+  // Search the HTML content for the first PDF URL and return it
+  const pdfUrl = findPdfUrl(googlePageHTML);
+
+  return pdfUrl;
+}
+
+/**
+ * Creates the provider that scrapes the PDF link from the patent's page on
+ * Google Patents and downloads the PDF from there.
+ *
+ * @returns {Object} The provider, with its `name` and `fetchPDF` function.
+ */
+function createGooglePatentsProvider() {
+  return {
+    name: 'google',
+
+    /**
+     * @param {string} documentNumber - The normalized patent or publication number.
+     * @param {Object} [options] - The progress and cancellation options of `fetchUpstream`.
+     * @returns {Promise<Buffer>} The PDF.
+     * @throws {Error} A DOCUMENT_NOT_FOUND error if Google Patents does not know the document,
+     *                 or a PDF_NOT_FOUND error if its page has no PDF link.
+     */
+    async fetchPDF(documentNumber, options = {}) {
+      options.onProgress?.({
+        stage: 'resolving',
+        message: `Looking up ${documentNumber} on Google Patents`,
+      })
+      const pdfUrl = await getPDFUrlFromDocNum(documentNumber, options.signal)
+      if (!pdfUrl) {
+        throw createError('PDF_NOT_FOUND', `Google Patents has no PDF of ${documentNumber}`)
+      }
+
+      logger.log(`Getting PDF from ${pdfUrl}`)
+      return fetchUpstream(pdfUrl, 'PDF_NOT_FOUND', options)
+    },
+  }
+}
+
+module.exports = {
+  createGooglePatentsProvider,
+  findPdfUrl,
+  toGooglePatentId,
+}
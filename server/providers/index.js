@@ -0,0 +1,117 @@
+const { createError } = require('../errors')
+const config = require('../config')
+const { createGooglePatentsProvider } = require('./googlePatents')
+const { createUSPTOProvider } = require('./uspto')
+const { createLocalDirectoryProvider } = require('./localDirectory')
+const { createFixtureProvider } = require('./fixture')
+const logger = require('../logger')
+
+/*
+ * A document provider resolves a normalized document number to the bytes of
+ * its PDF. Each provider is an object with a `name` and an async
+ * `fetchPDF(documentNumber)` that resolves with a Buffer, or with null if the
+ * source does not have the document. A provider throws a PDF_NOT_FOUND error
+ * if it knows the document but has no PDF of it, and throws when the source
+ * fails, e.g. with an UPSTREAM_TIMEOUT error. The optional second argument
+ * holds an `onProgress` callback for the download and a cancellation `signal`.
+ */
+
+// The providers that can be named in `config.providers.order`
+const providerFactories = {
+  google: createGooglePatentsProvider,
+  uspto: createUSPTOProvider,
+  local: createLocalDirectoryProvider,
+  fixture: createFixtureProvider,
+}
+
+// The providers in use, created from the config on first use
+let providers = null
+
+/**
+ * Returns the providers PDFs are looked up in, in order.
+ *
+ * @returns {Array<Object>} The providers.
+ */
+function getProviders() {
+  if (!providers) {
+    providers = config.providers.order.map((name) => {
+      if (!providerFactories[name]) {
+        throw new Error(
+          `Unknown document provider ${name}, expected one of ${Object.keys(providerFactories).join(', ')}`
+        )
+      }
+      return providerFactories[name]()
+    })
+  }
+  return providers
+}
+
+/**
+ * Replaces the configured providers, e.g. with a fixture provider in tests.
+ *
+ * @param {Array<Object>|null} newProviders - The providers to use, or null to go back to the configured ones.
+ */
+function setProviders(newProviders) {
+  providers = newProviders
+}
+
+/**
+ * Fetches the PDF of a document from the first provider that has it. A
+ * provider that fails is skipped, so a change to the Google Patents markup
+ * falls back to the next source.
+ *
+ * @param {string} documentNumber - The normalized patent or publication number.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the `resolving` and `downloading` progress.
+ * @param {AbortSignal} [options.signal] - Cancels the lookup when aborted.
+ * @returns {Promise<Buffer>} A promise that resolves with the PDF.
+ * @throws {Error} If no provider has the PDF: the first error of a provider
+ *                 that failed, or else PDF_NOT_FOUND if a provider knows the
+ *                 document but has no PDF of it, or DOCUMENT_NOT_FOUND if no
+ *                 provider knows the document.
+ */
+async function fetchPDF(documentNumber, options = {}) {
+  let errors = []
+
+  for (const provider of getProviders()) {
+    // A cancelled lookup does not fall back to the next provider
+    options.signal?.throwIfAborted()
+
+    try {
+      const pdfData = await provider.fetchPDF(documentNumber, options)
+      if (pdfData) {
+        logger.log(`Fetched ${documentNumber} from the ${provider.name} provider`)
+        return pdfData
+      }
+      errors.push(
+        createError(
+          'DOCUMENT_NOT_FOUND',
+          `The ${provider.name} provider does not have ${documentNumber}`
+        )
+      )
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw error
+      }
+      console.error(`The ${provider.name} provider failed for ${documentNumber}:`, error.message)
+      errors.push(error)
+    }
+  }
+
+  const failure = errors.find(
+    (error) => !['DOCUMENT_NOT_FOUND', 'PDF_NOT_FOUND'].includes(error.code)
+  )
+  if (failure) {
+    throw failure
+  }
+  if (errors.some((error) => error.code === 'PDF_NOT_FOUND')) {
+    throw createError('PDF_NOT_FOUND', `No PDF of ${documentNumber} was found`)
+  }
+  throw createError('DOCUMENT_NOT_FOUND', `No patent or publication ${documentNumber} was found`)
+}
+
+module.exports = {
+  fetchPDF,
+  getProviders,
+  setProviders,
+}
@@ -0,0 +1,42 @@
+const fs = require('fs/promises')
+const path = require('path')
+const config = require('../config')
+
+/**
+ * Creates the provider that reads PDFs from a local directory, named by
+ * their normalized document number, e.g. '<dir>/7123456.pdf'. It lets the
+ * server run offline against a set of downloaded patents.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir=config.providers.localDir] - The directory holding the PDFs.
+ * @returns {Object} The provider, with its `name` and `fetchPDF` function.
+ */
+function createLocalDirectoryProvider({ dir = config.providers.localDir } = {}) {
+  return {
+    name: 'local',
+
+    /**
+     * @param {string} documentNumber - The normalized patent or publication number.
+     * @returns {Promise<Buffer|null>} The PDF, or null if the directory has no file for the number.
+     */
+    async fetchPDF(documentNumber) {
+      // Normalized numbers are letters and digits only, so they cannot leave the directory
+      if (!/^[A-Z0-9]+$/.test(documentNumber)) {
+        return null
+      }
+
+      try {
+        return await fs.readFile(path.join(dir, `${documentNumber}.pdf`))
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null
+        }
+        throw error
+      }
+    },
+  }
+}
+
+module.exports = {
+  createLocalDirectoryProvider,
+}
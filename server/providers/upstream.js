@@ -0,0 +1,76 @@
+const { createError } = require('../errors')
+const config = require('../config')
+
+// The download progress is reported once per this many bytes, so a large PDF does not flood the progress events
+const progressStepBytes = 64 * 1024
+
+/**
+ * Downloads a page or file from a remote source such as Google Patents,
+ * giving up after `config.upstream.timeoutMs`.
+ *
+ * @param {string} url - The URL to download.
+ * @param {string} notFoundCode - The error code to throw if the URL does not exist.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with `{ stage: 'downloading', loaded, total }`
+ *        as the body arrives; `total` is null if the server does not send the size.
+ * @param {AbortSignal} [options.signal] - Cancels the download when aborted.
+ * @returns {Promise<Buffer>} A promise that resolves with the response body.
+ * @throws {Error} An UPSTREAM_TIMEOUT error if the download takes too long, or
+ *                 an error with `notFoundCode` if the server responds with a 404.
+ */
+async function fetchUpstream(url, notFoundCode, { onProgress, signal } = {}) {
+  // Dynamically imports node-fetch to fetch the page
+  const fetch = (await import('node-fetch')).default
+
+  try {
+    const timeout = AbortSignal.timeout(config.upstream.timeoutMs)
+    const response = await fetch(url, {
+      signal: signal ? AbortSignal.any([timeout, signal]) : timeout,
+    })
+    if (response.status === 404) {
+      throw createError(notFoundCode, `Nothing was found at ${url}`)
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: ${response.statusText}`)
+    }
+    if (!onProgress) {
+      return Buffer.from(await response.arrayBuffer())
+    }
+
+    const total = Number(response.headers.get('content-length')) || null
+    let chunks = []
+    let loaded = 0
+    let reported = 0
+    for await (const chunk of response.body) {
+      chunks.push(chunk)
+      loaded += chunk.length
+      if (loaded - reported >= progressStepBytes) {
+        onProgress({ stage: 'downloading', loaded, total })
+        reported = loaded
+      }
+    }
+    onProgress({ stage: 'downloading', loaded, total: total || loaded })
+    return Buffer.concat(chunks)
+  } catch (error) {
+    // A download cancelled by the caller is not a timeout
+    if (signal && signal.aborted) {
+      throw signal.reason
+    }
+    // The timeout aborts both the request and the download of the body
+    if (
+      error.name === 'AbortError' ||
+      error.name === 'TimeoutError' ||
+      error.code === 'ETIMEDOUT'
+    ) {
+      throw createError(
+        'UPSTREAM_TIMEOUT',
+        `${new URL(url).host} did not respond within ${config.upstream.timeoutMs / 1000} seconds`
+      )
+    }
+    throw error
+  }
+}
+
+module.exports = {
+  fetchUpstream,
+}
@@ -0,0 +1,41 @@
+const { isPDFData } = require('../uploadStore')
+const { fetchUpstream } = require('./upstream')
+const config = require('../config')
+const logger = require('../logger')
+
+/**
+ * Creates the provider that downloads the full-text PDF straight from the
+ * USPTO, without scraping a search page first.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url=config.providers.usptoUrl] - The URL of a
+ *        document's PDF, with `{number}` in place of the document number.
+ * @returns {Object} The provider, with its `name` and `fetchPDF` function.
+ */
+function createUSPTOProvider({ url = config.providers.usptoUrl } = {}) {
+  return {
+    name: 'uspto',
+
+    /**
+     * @param {string} documentNumber - The normalized patent or publication number.
+     * @param {Object} [options] - The progress and cancellation options of `fetchUpstream`.
+     * @returns {Promise<Buffer|null>} The PDF, or null if the USPTO has none.
+     */
+    async fetchPDF(documentNumber, options = {}) {
+      const pdfUrl = url.replace('{number}', encodeURIComponent(documentNumber))
+      logger.log(`Getting PDF from ${pdfUrl}`)
+      options.onProgress?.({
+        stage: 'resolving',
+        message: `Requesting ${documentNumber} from the USPTO`,
+      })
+
+      const pdfData = await fetchUpstream(pdfUrl, 'PDF_NOT_FOUND', options)
+      // An unknown number is answered with an HTML error page instead of a 404
+      return isPDFData(pdfData) ? pdfData : null
+    },
+  }
+}
+
+module.exports = {
+  createUSPTOProvider,
+}
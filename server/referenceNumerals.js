@@ -0,0 +1,392 @@
+const { formatCitation, formatParagraphCitation } = require('./citations')
+
+// Matches a reference numeral, e.g. "12", "140", "12a" or "140'"
+const numeralPattern = /^\d{1,4}[a-z]?'?$/
+
+// Words a number follows when it is not a reference numeral, e.g. "FIG. 3" or "claim 2"
+const nonReferenceWords = new Set([
+  'fig',
+  'figs',
+  'figure',
+  'figures',
+  'claim',
+  'claims',
+  'col',
+  'column',
+  'columns',
+  'line',
+  'lines',
+  'l',
+  'll',
+  'step',
+  'steps',
+  'table',
+  'example',
+  'sheet',
+  'page',
+  'no',
+  'nos',
+  'number',
+  'paragraph',
+  'formula',
+  'equation',
+])
+
+// Units a number is followed by when it is a value, e.g. "10 mm" or "100 °C". Units
+// that are also common words, such as "a" or "in", are left out, and so are
+// single letters such as "C" or "V", which are as often a numeral's suffix
+// printed apart ("valve 12 f").
+const units = new Set([
+  'nm',
+  'um',
+  'μm',
+  'mm',
+  'cm',
+  'inch',
+  'inches',
+  'ft',
+  '°c',
+  '°f',
+  'degrees',
+  '%',
+  'percent',
+  'mv',
+  'kv',
+  'ma',
+  'kw',
+  'hz',
+  'khz',
+  'mhz',
+  'ghz',
+  'ms',
+  'sec',
+  'seconds',
+  'min',
+  'minutes',
+  'hours',
+  'mg',
+  'kg',
+  'ml',
+  'psi',
+  'pa',
+  'kpa',
+  'mpa',
+  'bar',
+  'rpm',
+  'ohm',
+  'ohms',
+  'db',
+])
+
+// Words that end the name of an element when reading back from its numeral,
+// including the verbs that link an element to what it holds, so "the device
+// comprises 3 layers" does not name 3 "device comprises"
+const nameStopWords = new Set([
+  'a',
+  'an',
+  'the',
+  'said',
+  'each',
+  'this',
+  'that',
+  'these',
+  'those',
+  'its',
+  'their',
+  'of',
+  'and',
+  'or',
+  'to',
+  'in',
+  'on',
+  'at',
+  'by',
+  'for',
+  'from',
+  'with',
+  'into',
+  'onto',
+  'through',
+  'via',
+  'is',
+  'are',
+  'be',
+  'was',
+  'were',
+  'been',
+  'being',
+  'has',
+  'have',
+  'having',
+  'comprise',
+  'comprises',
+  'comprising',
+  'include',
+  'includes',
+  'including',
+  'contain',
+  'contains',
+  'containing',
+  'define',
+  'defines',
+  'defining',
+  'consist',
+  'consists',
+  'consisting',
+  'which',
+  'where',
+  'wherein',
+  'when',
+  'such',
+  'as',
+  'than',
+  'about',
+  'approximately',
+])
+
+// Element names are at most this many words, e.g. "first temperature sensor"
+const maxNameWords = 3
+
+// Mentions of a numeral at most this many lines apart are cited as one range
+const maxCitationGap = 5
+
+/**
+ * Splits the numbered lines into words, each with the line it is printed on.
+ * A word hyphenated at the end of a line is joined with its continuation, so
+ * an element name broken across lines is still read as one word.
+ *
+ * @param {Array<Object>} combinedPDFLines - The numbered lines returned by `getPDF`.
+ * @returns {Array<Object>} The words in reading order, with their `text` and `line`.
+ */
+function toWords(combinedPDFLines) {
+  let words = []
+  combinedPDFLines.forEach((line) => {
+    line.text
+      .split(/\s+/)
+      .filter((text) => text)
+      .forEach((text, i) => {
+        const previous = words[words.length - 1]
+        if (i === 0 && previous && /\p{L}-$/u.test(previous.text)) {
+          previous.text = previous.text.slice(0, -1) + text
+          return
+        }
+        words.push({ text, line })
+      })
+  })
+  return words
+}
+
+/**
+ * Reads the numeral a word holds, without the punctuation around it, e.g.
+ * "140," or "(12)".
+ *
+ * @param {string} text - The word.
+ * @returns {string|null} The numeral, or null if the word is not one.
+ */
+function toNumeral(text) {
+  const numeral = text.replace(/^[([]+|[)\],;:.]+$/g, '')
+  return numeralPattern.test(numeral) ? numeral : null
+}
+
+/**
+ * Tells whether the number at a word is a value or a label rather than a
+ * reference numeral, from the words around it: "FIG. 3", "claim 2", "10 mm".
+ *
+ * @param {Array<Object>} words - The words returned by `toWords`.
+ * @param {number} i - The position of the number.
+ * @returns {boolean} True if the number is not a reference numeral.
+ */
+function isNonReference(words, i) {
+  const previous = words[i - 1]
+  const next = words[i + 1]
+  const previousWord = previous && previous.text.toLowerCase().replace(/[.:]+$/, '')
+  const nextWord = next && next.text.toLowerCase().replace(/[,;:.)]+$/, '')
+  // A number ending its sentence or followed by a comma is still a numeral, so only
+  // a bare word after it can be a unit
+  const isFollowedByUnit =
+    nextWord !== undefined && /^[^,;:.]*$/.test(words[i].text) && units.has(nextWord)
+  return nonReferenceWords.has(previousWord) || isFollowedByUnit
+}
+
+/**
+ * Reads the name of the element a numeral refers to from the words before it,
+ * e.g. "first sensor" from "a first sensor 16". Reading stops at a stop word
+ * such as "the", at punctuation and after a few words. A numeral listed after
+ * another one shares its name, e.g. "sensors" for 18 in "sensors 16 and 18".
+ *
+ * @param {Array<Object>} words - The words returned by `toWords`.
+ * @param {number} i - The position of the numeral.
+ * @returns {string|null} The lower case name, or null if no name precedes the numeral.
+ */
+function readElementName(words, i) {
+  const previous = words[i - 1]
+  if (previous && previous.text.endsWith(',') && toNumeral(previous.text)) {
+    return readElementName(words, i - 1)
+  }
+  if (
+    previous &&
+    /^(and|or)$/i.test(previous.text) &&
+    words[i - 2] &&
+    toNumeral(words[i - 2].text)
+  ) {
+    return readElementName(words, i - 2)
+  }
+
+  let nameWords = []
+  for (let j = i - 1; j >= 0 && nameWords.length < maxNameWords; j--) {
+    const text = words[j].text
+    if (!/^\p{L}[\p{L}-]*$/u.test(text) || nameStopWords.has(text.toLowerCase())) {
+      break
+    }
+    nameWords.unshift(text.toLowerCase())
+  }
+  return nameWords.length > 0 ? nameWords.join(' ') : null
+}
+
+/**
+ * Formats where a numeral is mentioned, merging mentions a few lines apart
+ * into one range, e.g. "col. 5, ll. 10-20; col. 7, l. 3". Mentions in a
+ * published application are cited by paragraph.
+ *
+ * @param {Array<Object>} mentions - The mentions of the numeral, in reading order.
+ * @returns {string} The citation.
+ */
+function formatMentions(mentions) {
+  if (mentions[0].column === undefined) {
+    const paragraphs = [
+      ...new Set(mentions.map((mention) => mention.paragraph).filter((paragraph) => paragraph)),
+    ]
+    return paragraphs
+      .map((paragraph) => formatParagraphCitation(paragraph, paragraph))
+      .join('; ')
+  }
+
+  let ranges = []
+  mentions.forEach((mention) => {
+    const range = ranges[ranges.length - 1]
+    if (
+      range &&
+      range.column === mention.column &&
+      mention.lineNumber - range.endLine <= maxCitationGap
+    ) {
+      range.endLine = mention.lineNumber
+    } else {
+      ranges.push({
+        column: mention.column,
+        startLine: mention.lineNumber,
+        endLine: mention.lineNumber,
+      })
+    }
+  })
+  return ranges
+    .map((range) =>
+      formatCitation(range.column, range.startLine, range.column, range.endLine)
+    )
+    .join('; ')
+}
+
+/**
+ * Builds an index of the reference numerals of a document: for every numeral
+ * the specification names an element with ("the housing 12"), the names it
+ * is given, every line it is mentioned on, and the drawing sheets and figures
+ * it is printed in. Numbers that are labels or values ("FIG. 3", "claim 2",
+ * "10 mm") are not numerals.
+ *
+ * @param {Array<Object>} combinedPDFLines - The numbered lines returned by `getPDF`.
+ * @param {Array<Object>} [drawingSheets] - The drawing sheets returned by `getPDF`.
+ * @returns {Array<Object>} The numerals in numeric order, each with its `numeral`, its element
+ *                          `names` (most used first), its `mentions` (the `page` and `column`
+ *                          and `lineNumber`, or `paragraph`, of each line, plus the `claim`
+ *                          of lines in the claims), the `sheets` and `figures` showing it,
+ *                          and a `citation` such as "FIG. 3; col. 5, ll. 10-20".
+ */
+function getReferenceNumerals(combinedPDFLines, drawingSheets = []) {
+  const words = toWords(combinedPDFLines)
+
+  // A number is a numeral once the text names an element with it
+  const elementNames = new Map()
+  words.forEach((word, i) => {
+    const numeral = toNumeral(word.text)
+    if (!numeral || isNonReference(words, i)) {
+      return
+    }
+    const name = readElementName(words, i)
+    if (name) {
+      if (!elementNames.has(numeral)) {
+        elementNames.set(numeral, new Map())
+      }
+      const names = elementNames.get(numeral)
+      names.set(name, (names.get(name) || 0) + 1)
+    }
+  })
+
+  // Every line a numeral is mentioned on, including lists such as "sensors 16 and 18"
+  const mentions = new Map()
+  words.forEach((word, i) => {
+    const numeral = toNumeral(word.text)
+    if (!numeral || !elementNames.has(numeral) || isNonReference(words, i)) {
+      return
+    }
+    if (!mentions.has(numeral)) {
+      mentions.set(numeral, [])
+    }
+    const numeralMentions = mentions.get(numeral)
+    const { line } = word
+    if (numeralMentions.some((mention) => mention.line === line)) {
+      return
+    }
+    numeralMentions.push({ line })
+  })
+
+  return [...elementNames.keys()]
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10) || a.localeCompare(b))
+    .map((numeral) => {
+      const names = [...elementNames.get(numeral)]
+        .sort((a, b) => b[1] - a[1])
+        .map(([name]) => name)
+
+      const numeralMentions = mentions.get(numeral).map(({ line }) => ({
+        page: line.page,
+        ...(line.column !== undefined
+          ? { column: line.column, lineNumber: line.lineNumber }
+          : { paragraph: line.paragraph }),
+        ...(line.claim && { claim: line.claim }),
+      }))
+
+      const sheets = drawingSheets
+        .filter((sheet) => sheet.numerals.some((entry) => entry.numeral === numeral))
+        .map((sheet) => ({
+          sheet: sheet.sheet,
+          page: sheet.page,
+          figures: [
+            ...new Set(
+              sheet.numerals
+                .filter((entry) => entry.numeral === numeral && entry.figure)
+                .map((entry) => entry.figure)
+            ),
+          ],
+        }))
+      const figures = [...new Set(sheets.flatMap((sheet) => sheet.figures))]
+
+      const figureCitation =
+        figures.length > 0
+          ? `${figures.length > 1 ? 'FIGS.' : 'FIG.'} ${figures.join(', ')}`
+          : null
+      const citation = [figureCitation, formatMentions(numeralMentions)]
+        .filter((part) => part)
+        .join('; ')
+
+      return {
+        numeral,
+        names,
+        mentions: numeralMentions,
+        sheets,
+        figures,
+        citation,
+      }
+    })
+}
+
+module.exports = {
+  getReferenceNumerals,
+}
@@ -0,0 +1,179 @@
+const {
+  Document,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} = require('docx')
+const { createError } = require('./errors')
+
+// The formats a citation report can be exported in, with their content types
+const reportFormats = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+}
+
+/**
+ * Builds a citation report from the results of searching one document for
+ * several queries, e.g. the limitations of a claim.
+ *
+ * @param {string} documentKey - The patent number or upload ID that was searched.
+ * @param {Object} metadata - The front page metadata of the document, from `getPDF`.
+ * @param {Array<Object>} rows - One row per query, each with its `searchString`
+ *                               and the `searchResults` from `toCitation`, best first.
+ * @returns {Object} The report, with the `documentNumber` and `title` of the
+ *                   patent and one entry per query listing its hits.
+ */
+function buildReport(documentKey, metadata, rows) {
+  const documentNumber =
+    metadata && metadata.documentNumber
+      ? `US ${metadata.documentNumber}${metadata.kind ? ` ${metadata.kind}` : ''}`
+      : documentKey
+
+  return {
+    documentNumber,
+    title: (metadata && metadata.title) || '',
+    generatedAt: new Date().toISOString(),
+    entries: rows.map((row) => ({
+      searchString: row.searchString,
+      hits: row.searchResults.map((result) => ({
+        text: result.text,
+        citation: result.citation,
+        score: result.score,
+      })),
+    })),
+  }
+}
+
+/**
+ * Quotes a CSV field if it contains a separator, quote or line break.
+ *
+ * @param {string|number} value - The value of the field.
+ * @returns {string} The field as written to the CSV file.
+ */
+function toCSVField(value) {
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Writes a citation report as CSV, with one row per hit. A query without
+ * hits still gets a row, with an empty citation.
+ *
+ * @param {Object} report - The report returned by `buildReport`.
+ * @returns {string} The CSV text.
+ */
+function toCSV(report) {
+  const header = ['Patent Number', 'Title', 'Query', 'Matched Text', 'Citation', 'Score']
+
+  let rows = []
+  report.entries.forEach((entry) => {
+    const hits = entry.hits.length
+      ? entry.hits
+      : [{ text: '', citation: '', score: '' }]
+    hits.forEach((hit) => {
+      rows.push([
+        report.documentNumber,
+        report.title,
+        entry.searchString,
+        hit.text,
+        hit.citation,
+        hit.score === '' ? '' : hit.score.toFixed(2),
+      ])
+    })
+  })
+
+  return [header, ...rows]
+    .map((row) => row.map(toCSVField).join(','))
+    .join('\r\n')
+}
+
+/**
+ * Writes a citation report as a claim chart: a Word document with a
+ * two-column table holding each query on the left and the matching passages
+ * of the patent, with their citations, on the right.
+ *
+ * @param {Object} report - The report returned by `buildReport`.
+ * @returns {Promise<Buffer>} A promise that resolves with the DOCX file.
+ */
+function toDocx(report) {
+  const cell = (children) =>
+    new TableCell({ children, width: { size: 50, type: WidthType.PERCENTAGE } })
+
+  const headerRow = new TableRow({
+    tableHeader: true,
+    children: [
+      cell([new Paragraph({ children: [new TextRun({ text: 'Claim Limitation', bold: true })] })]),
+      cell([new Paragraph({ children: [new TextRun({ text: report.documentNumber, bold: true })] })]),
+    ],
+  })
+
+  const entryRows = report.entries.map((entry) => {
+    const disclosure = entry.hits.length
+      ? entry.hits.map(
+          (hit) =>
+            new Paragraph({
+              children: [
+                new TextRun(`"${hit.text}" `),
+                new TextRun({ text: `(${hit.citation})`, bold: true }),
+              ],
+            })
+        )
+      : [new Paragraph({ children: [new TextRun({ text: 'No matching passage found', italics: true })] })]
+
+    return new TableRow({
+      children: [cell([new Paragraph(entry.searchString)]), cell(disclosure)],
+    })
+  })
+
+  const document = new Document({
+    sections: [
+      {
+        children: [
+          new Paragraph({
+            heading: HeadingLevel.HEADING_1,
+            text: `Claim Chart – ${report.documentNumber}`,
+          }),
+          ...(report.title ? [new Paragraph(report.title)] : []),
+          new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            rows: [headerRow, ...entryRows],
+          }),
+        ],
+      },
+    ],
+  })
+
+  return Packer.toBuffer(document)
+}
+
+/**
+ * Writes a citation report in one of the `reportFormats`.
+ *
+ * @param {Object} report - The report returned by `buildReport`.
+ * @param {string} format - 'docx', 'csv' or 'json'.
+ * @returns {Promise<Buffer|string>} A promise that resolves with the file contents.
+ * @throws {Error} An INVALID_REQUEST error if the format is not one of the `reportFormats`.
+ */
+async function exportReport(report, format) {
+  switch (format) {
+    case 'docx':
+      return toDocx(report)
+    case 'csv':
+      return toCSV(report)
+    case 'json':
+      return JSON.stringify(report, null, 2)
+  }
+  throw createError('INVALID_REQUEST', `Unknown report format ${format}`)
+}
+
+module.exports = {
+  buildReport,
+  exportReport,
+  reportFormats,
+}
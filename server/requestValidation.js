@@ -0,0 +1,154 @@
+const uploadStore = require('./uploadStore')
+const { createError } = require('./errors')
+
+// The search modes `searchPDF` supports
+const searchModes = ['sequence', 'align']
+
+// The sections of a specification a search can be limited to (see `setSections`)
+const searchSections = ['field', 'background', 'summary', 'drawings', 'description', 'claims']
+
+// Matches a granted patent number, with an optional reissue, design or plant
+// prefix, or an 11-digit pre-grant publication number, after normalization
+const documentNumberPattern = /^(?:(?:RE|D|PP)?\d{4,8}|\d{11})$/
+
+/**
+ * Normalizes the ways a US document number is commonly written, such as
+ * "US 7,123,456 B2", "us7123456" or "US 2019/0123456 A1", to the plain number
+ * the loaders and the cache use ('7123456' or '20190123456'). Upload IDs are
+ * returned unchanged.
+ *
+ * @param {string} documentNumber - The document number or upload ID as entered.
+ * @returns {string|null} The normalized number, or null if it is not a valid document number.
+ *
+ * @example
+ * normalizeDocumentNumber('US 7,123,456 B2') // '7123456'
+ * normalizeDocumentNumber('US 2019/0123456 A1') // '20190123456'
+ */
+function normalizeDocumentNumber(documentNumber) {
+  if (typeof documentNumber !== 'string') {
+    return null
+  }
+
+  const trimmed = documentNumber.trim()
+  if (uploadStore.isUploadId(trimmed)) {
+    return trimmed
+  }
+
+  const number = trimmed
+    .toUpperCase()
+    .replace(/[\s,./-]/g, '')
+    .replace(/^US/, '')
+    // The kind code, e.g. "B2" or "A1", does not identify a different document
+    .replace(/(\d)[A-Z]\d?$/, '$1')
+    // Granted patents are sometimes written with a leading zero, e.g. "07123456"
+    .replace(/^0+(?=\d{4,7}$)/, '')
+
+  return documentNumberPattern.test(number) ? number : null
+}
+
+/**
+ * Normalizes a document number or upload ID, so "US 7,123,456 B2" and
+ * "7123456" load (and cache) the same document.
+ *
+ * @param {string} documentKey - The document number or upload ID as entered.
+ * @returns {string} The normalized document number or upload ID.
+ * @throws {Error} An INVALID_REQUEST error if it is not a valid document number.
+ */
+function toDocumentKey(documentKey) {
+  const normalizedKey = normalizeDocumentNumber(documentKey)
+  if (!normalizedKey) {
+    throw createError(
+      'INVALID_REQUEST',
+      `"${documentKey}" is not a valid US patent or publication number`
+    )
+  }
+  return normalizedKey
+}
+
+/**
+ * Reads and normalizes the document to search from a request body, which
+ * holds either the ID of an uploaded PDF or a document number.
+ *
+ * @param {Object} body - The request body.
+ * @returns {string} The normalized document number or upload ID.
+ * @throws {Error} An INVALID_REQUEST error if the document is missing or not a valid number.
+ */
+function validateDocumentKey(body) {
+  const documentKey = body.documentId || body.documentNumber
+  if (typeof documentKey !== 'string' || !documentKey.trim()) {
+    throw createError('INVALID_REQUEST', 'Enter a document number or upload a PDF')
+  }
+  return toDocumentKey(documentKey)
+}
+
+/**
+ * Validates the search options of a request: the search `mode`, and the
+ * `sections` to search, given as a list or, in a query string, as a
+ * comma-separated list ("summary,description").
+ *
+ * @param {Object} body - The request body or query.
+ * @returns {Object} The `searchOptions` to pass to `searchPDF`.
+ * @throws {Error} An INVALID_REQUEST error if the mode or a section is unknown.
+ */
+function validateSearchOptions(body) {
+  if (body.mode !== undefined && !searchModes.includes(body.mode)) {
+    throw createError(
+      'INVALID_REQUEST',
+      `Unknown search mode ${body.mode}, expected one of ${searchModes.join(', ')}`
+    )
+  }
+
+  let sections
+  if (body.sections !== undefined) {
+    const sectionList =
+      typeof body.sections === 'string' ? body.sections.split(',') : [].concat(body.sections)
+    sections = sectionList
+      .map((section) => String(section).trim())
+      .filter((section) => section)
+    const unknownSection = sections.find((section) => !searchSections.includes(section))
+    if (unknownSection) {
+      throw createError(
+        'INVALID_REQUEST',
+        `Unknown section ${unknownSection}, expected one of ${searchSections.join(', ')}`
+      )
+    }
+  }
+
+  return { mode: body.mode, sections }
+}
+
+/**
+ * Validates the body of a '/search-pdf' request.
+ *
+ * @param {Object} body - The request body, with the `documentNumber` or
+ *                       `documentId`, the `searchString`, and an optional `mode`
+ *                       and `sections` (see `validateSearchOptions`).
+ * @returns {Object} The normalized `documentNumber`, the `searchString` and
+ *                   the `searchOptions` to pass to `searchPDF`.
+ * @throws {Error} An INVALID_REQUEST error describing the first invalid field.
+ */
+function validateSearchRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw createError('INVALID_REQUEST', 'The request body must be a JSON object')
+  }
+
+  const documentNumber = validateDocumentKey(body)
+
+  if (typeof body.searchString !== 'string' || !body.searchString.trim()) {
+    throw createError('INVALID_REQUEST', 'Enter the text to search for')
+  }
+
+  return {
+    documentNumber,
+    searchString: body.searchString,
+    searchOptions: validateSearchOptions(body),
+  }
+}
+
+module.exports = {
+  normalizeDocumentNumber,
+  toDocumentKey,
+  validateDocumentKey,
+  validateSearchOptions,
+  validateSearchRequest,
+}
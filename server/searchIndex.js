@@ -0,0 +1,246 @@
+// Length of the character n-grams used to find candidate terms for a query token
+const gramSize = 3
+
+// Indexes already built, keyed by the searchable PDF they were built from
+const searchIndexes = new WeakMap()
+
+/**
+ * Reduces a word to the form it is indexed and matched by: lower case, with
+ * leading and trailing punctuation removed, so "housing," matches "housing".
+ *
+ * @param {string} text - The word to normalize.
+ * @returns {string} The search key for the word, or an empty string if the word is only punctuation.
+ */
+function toSearchKey(text) {
+  return text.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+}
+
+/**
+ * Returns how many edits a token may be away from a document word and still
+ * match it. Short words have to match exactly, so "a" no longer matches "the",
+ * while long words that are easily mangled by OCR tolerate more edits.
+ *
+ * @param {string} token - The normalized query token.
+ * @returns {number} The maximum allowed Levenshtein distance.
+ */
+function maxEditDistance(token) {
+  // Numbers (reference numerals, line numbers, values) must match exactly
+  if (/^\d+$/.test(token) || token.length <= 3) {
+    return 0
+  }
+  if (token.length <= 5) {
+    return 1
+  }
+  if (token.length <= 9) {
+    return 2
+  }
+  return 3
+}
+
+/**
+ * Splits a term into its character n-grams, padded so that the start and end
+ * of the term produce n-grams of their own.
+ *
+ * @param {string} term - The term to split.
+ * @returns {Array<string>} The distinct n-grams of the term.
+ */
+function toGrams(term) {
+  const padded = `$${term}$`
+  const grams = new Set()
+  for (let i = 0; i + gramSize <= padded.length; i++) {
+    grams.add(padded.substring(i, i + gramSize))
+  }
+  // Terms shorter than one n-gram are indexed by themselves
+  if (grams.size === 0) {
+    grams.add(padded)
+  }
+  return [...grams]
+}
+
+/**
+ * Builds an inverted index over the words of a searchable PDF. Words that are
+ * only punctuation are left out, and a word hyphenated across two lines is
+ * also indexed as the joined word.
+ *
+ * @param {Array<Object>} searchablePDF - The word list returned by `createSearchablePDF`.
+ * @returns {Object} The index, with the `positions` of the indexed words in the
+ *                   searchable PDF, their `keys`, the `joinedKeys` of words
+ *                   hyphenated across lines, the `termPositions` of every
+ *                   term, and the n-gram lookup tables.
+ */
+function buildSearchIndex(searchablePDF) {
+  const positions = []
+  const keys = []
+  searchablePDF.forEach((token, position) => {
+    const key = toSearchKey(token.text)
+    if (key) {
+      positions.push(position)
+      keys.push(key)
+    }
+  })
+
+  // A word hyphenated across two lines is also indexed as the word it was
+  // joined into by the text normalization stage
+  const joinedKeys = positions.map((position) => {
+    const { joinedText } = searchablePDF[position]
+    return joinedText ? toSearchKey(joinedText) || null : null
+  })
+
+  // Map every term to the indexed words it occurs at, for retrieving candidate matches
+  const termPositions = new Map()
+  ;[keys, joinedKeys].forEach((termList) => {
+    termList.forEach((term, i) => {
+      if (term) {
+        if (!termPositions.has(term)) {
+          termPositions.set(term, [])
+        }
+        termPositions.get(term).push(i)
+      }
+    })
+  })
+
+  // Map every n-gram to the terms containing it
+  const gramIndex = new Map()
+  const termsByLength = new Map()
+  termPositions.forEach((_, term) => {
+    toGrams(term).forEach((gram) => {
+      if (!gramIndex.has(gram)) {
+        gramIndex.set(gram, [])
+      }
+      gramIndex.get(gram).push(term)
+    })
+    if (!termsByLength.has(term.length)) {
+      termsByLength.set(term.length, [])
+    }
+    termsByLength.get(term.length).push(term)
+  })
+
+  return { positions, keys, joinedKeys, termPositions, gramIndex, termsByLength }
+}
+
+/**
+ * Returns the index for a searchable PDF, building it on first use.
+ *
+ * @param {Array<Object>} searchablePDF - The word list returned by `createSearchablePDF`.
+ * @returns {Object} The index built by `buildSearchIndex`.
+ */
+function getSearchIndex(searchablePDF) {
+  if (!searchIndexes.has(searchablePDF)) {
+    searchIndexes.set(searchablePDF, buildSearchIndex(searchablePDF))
+  }
+  return searchIndexes.get(searchablePDF)
+}
+
+/**
+ * Finds the indexed terms that are close enough to a query token to match it.
+ * Candidates are retrieved by the n-grams they share with the token (a term
+ * within `k` edits of the token shares all but at most `k * gramSize` of its
+ * n-grams), and only those candidates are compared with the full Levenshtein
+ * distance.
+ *
+ * @param {Object} index - The index built by `buildSearchIndex`.
+ * @param {string} token - The normalized query token.
+ * @returns {Map<string, number>} The matching terms and their distance from the token.
+ */
+function findMatchingTerms(index, token) {
+  const maxDistance = maxEditDistance(token)
+  const matches = new Map()
+
+  const tokenGrams = toGrams(token)
+  const minSharedGrams = tokenGrams.length - maxDistance * gramSize
+
+  let candidates
+  if (minSharedGrams > 0) {
+    // Count the n-grams each term shares with the token
+    const sharedGrams = new Map()
+    tokenGrams.forEach((gram) => {
+      ;(index.gramIndex.get(gram) || []).forEach((term) => {
+        sharedGrams.set(term, (sharedGrams.get(term) || 0) + 1)
+      })
+    })
+    candidates = [...sharedGrams]
+      .filter(([, count]) => count >= minSharedGrams)
+      .map(([term]) => term)
+  } else {
+    // The token is too short for the n-gram filter, so compare every term of a similar length
+    candidates = []
+    for (
+      let length = token.length - maxDistance;
+      length <= token.length + maxDistance;
+      length++
+    ) {
+      candidates.push(...(index.termsByLength.get(length) || []))
+    }
+  }
+
+  candidates.forEach((term) => {
+    if (Math.abs(term.length - token.length) > maxDistance) {
+      return
+    }
+    const distance = levenshteinDistance(term, token)
+    if (distance <= maxDistance) {
+      matches.set(term, distance)
+    }
+  })
+
+  return matches
+}
+
+/**
+ * Calculates the Levenshtein distance between two strings, which is the minimum number of single-character
+ * edits (insertions, deletions, or substitutions) required to change one string into the other.
+ * This function is often used in fuzzy string matching to quantify the difference between two strings.
+ *
+ * @param {string} a The first string to compare.
+ * @param {string} b The second string to compare.
+ * @returns {number} The Levenshtein distance between the two strings. A distance of 0 indicates
+ * that the strings are identical.
+ *
+ * @example
+ * const distance = levenshteinDistance('kitten', 'sitting');
+ * console.log(distance); // Outputs: 3
+ */
+function levenshteinDistance(a, b) {
+  const matrix = []
+
+  // Ensure that a is the shorter string.
+  if (a.length > b.length) {
+    ;[a, b] = [b, a]
+  }
+
+  // Initialize the first row of the matrix.
+  for (let i = 0; i <= b.length; i++) {
+    matrix[i] = [i]
+  }
+
+  // Initialize the first column of the matrix.
+  for (let i = 1; i <= a.length; i++) {
+    matrix[0][i] = i
+  }
+
+  // Populate the matrix.
+  for (let i = 1; i <= b.length; i++) {
+    for (let j = 1; j <= a.length; j++) {
+      if (b.charAt(i - 1) === a.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1]
+      } else {
+        matrix[i][j] =
+          Math.min(
+            matrix[i - 1][j - 1], // substitution
+            matrix[i][j - 1], // insertion
+            matrix[i - 1][j] // deletion
+          ) + 1
+      }
+    }
+  }
+
+  return matrix[b.length][a.length]
+}
+
+module.exports = {
+  findMatchingTerms,
+  getSearchIndex,
+  levenshteinDistance,
+  maxEditDistance,
+  toSearchKey,
+}
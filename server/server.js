@@ -2,58 +2,516 @@ const express = require('express')
 const app = express()
 const port = 3000 // Example port
 const cors = require('cors')
-const pdfSearch = require('./pdfSearch')
+const multer = require('multer')
+const { searchPDFs } = require('./pdfJobs')
+const uploadStore = require('./uploadStore')
+const documentCache = require('./documentCache')
+const {
+  loadDocument,
+  loadDocuments,
+  loadPDFData,
+} = require('./documentLoader')
+const { formatNumberedLine, toCitation } = require('./citations')
+const { splitClaimLimitations } = require('./claimLimitations')
+const { getClaims } = require('./claims')
+const { getReferenceNumerals } = require('./referenceNumerals')
+const { buildReport, exportReport, reportFormats } = require('./reportExport')
+const { createError, sendError, toErrorResponse } = require('./errors')
+const {
+  normalizeDocumentNumber,
+  toDocumentKey,
+  validateDocumentKey,
+  validateSearchOptions,
+  validateSearchRequest,
+} = require('./requestValidation')
+
+// The largest PDF that can be uploaded, in MB
+const maxUploadMb = 50
+
+// Keep uploaded PDFs in memory until they are validated and stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxUploadMb * 1024 * 1024 },
+})
+
+/**
+ * Reads the queries of a batch request: either a list of search strings, or a
+ * claim that is split into its limitations.
+ *
+ * @param {Object} body - The request body.
+ * @returns {Array<string>} The non-empty search strings.
+ * @throws {Error} An INVALID_REQUEST error if there is nothing to search for.
+ */
+function getSearchStrings(body) {
+  if (
+    body.searchStrings &&
+    (!Array.isArray(body.searchStrings) ||
+      !body.searchStrings.every((searchString) => typeof searchString === 'string'))
+  ) {
+    throw createError('INVALID_REQUEST', 'searchStrings must be a list of strings')
+  }
+
+  const searchStrings = body.searchStrings
+    ? body.searchStrings.filter((searchString) => searchString.trim())
+    : splitClaimLimitations(String(body.claimText || ''))
+  if (!searchStrings.length) {
+    throw createError('INVALID_REQUEST', 'Enter a claim or the limitations to search for')
+  }
+  return searchStrings
+}
+
+/**
+ * Searches one parsed document for several search strings on a worker thread.
+ *
+ * @param {string} documentKey - The patent number or upload ID of the document.
+ * @param {Array<Object>} searchablePDF - The searchable PDF of the document.
+ * @param {Array<string>} searchStrings - The search strings.
+ * @param {Object} searchOptions - The options passed to `searchPDF`.
+ * @returns {Promise<Array<Object>>} One row per search string, with its citations best first.
+ */
+async function searchRows(documentKey, searchablePDF, searchStrings, searchOptions) {
+  const matches = await searchPDFs(documentKey, searchablePDF, searchStrings, searchOptions)
+  return searchStrings.map((searchString, index) => ({
+    searchString,
+    searchResults: matches[index]
+      .map(toCitation)
+      .sort((a, b) => b.score - a.score),
+  }))
+}
+
+/**
+ * Searches a parsed document for one search string on a worker thread and
+ * collects what the app shows: the numbered text, the position of every line
+ * and the citations.
+ *
+ * @param {string} documentKey - The patent number or upload ID of the document.
+ * @param {Array} parsedDocument - The searchable PDF, numbered lines and metadata from `loadDocument`.
+ * @param {string} searchString - The text to search for.
+ * @param {Object} searchOptions - The options passed to `searchPDF`.
+ * @param {Object} [options] - The `onProgress` callback and cancellation `signal` of the search.
+ * @returns {Promise<Object>} The numbered `text`, the `lines` and the `searchResults`.
+ */
+async function searchDocument(
+  documentKey,
+  parsedDocument,
+  searchString,
+  searchOptions,
+  options
+) {
+  const [searchablePDF, combinedPDFLines] = parsedDocument
+  let numberedPDFText = ''
+  combinedPDFLines.forEach((pdfLine) => {
+    numberedPDFText += `${formatNumberedLine(pdfLine)} \n`
+  })
+
+  // Convert each match into a structured column:line citation
+  const [matches] = await searchPDFs(
+    documentKey,
+    searchablePDF,
+    [searchString],
+    searchOptions,
+    options
+  )
+  const searchResults = matches.map(toCitation)
+  console.log(`Found ${searchResults.length} match(es)`)
+
+  // The position and number of every line, so the viewer can show where a clicked line is cited
+  const lines = combinedPDFLines.map((pdfLine) => ({
+    page: pdfLine.page,
+    x: pdfLine.x,
+    y: pdfLine.y,
+    width: pdfLine.width,
+    height: pdfLine.height,
+    column: pdfLine.column,
+    lineNumber: pdfLine.lineNumber,
+    paragraph: pdfLine.paragraph,
+    claim: pdfLine.claim,
+    section: pdfLine.section,
+  }))
+
+  return { text: numberedPDFText, lines, searchResults }
+}
+
+/**
+ * Writes one Server-Sent Event.
+ *
+ * @param {Object} res - The Express response, with the event stream headers sent.
+ * @param {string} event - The name of the event, e.g. 'progress'.
+ * @param {Object} data - The data of the event, sent as JSON.
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
 
 // Setup CORS options
 const corsOptions = {
   origin: true,
+  // Lets the app read the file name of a downloaded report
+  exposedHeaders: ['Content-Disposition'],
 }
 app.use(cors(corsOptions))
 
 // Use Express's built-in JSON parser middleware
 app.use(express.json())
 
-// Handles POST requests to '/extract-pdf-text' route
-app.post('/search-pdf', async (req, res) => {
-  // Extracts the PDF URL from the request body
-  const documentNumber = req.body.documentNumber
-  const searchString = req.body.searchString
+// Handles multipart POST requests to '/upload-pdf' with the PDF in the 'pdf' field
+app.post('/upload-pdf', upload.single('pdf'), async (req, res) => {
+  console.log('Incoming call to upload-pdf')
+
+  if (!req.file || !uploadStore.isPDFData(req.file.buffer)) {
+    return sendError(
+      res,
+      createError('INVALID_REQUEST', 'Upload a PDF file in the "pdf" field'),
+      'Error storing uploaded PDF'
+    )
+  }
+
+  try {
+    const documentId = await uploadStore.saveUpload(req.file.buffer)
+    console.log(`Stored ${req.file.originalname} as ${documentId}`)
+
+    res.json({
+      documentId,
+      fileName: req.file.originalname,
+      size: req.file.size,
+    })
+  } catch (error) {
+    sendError(res, error, 'Error storing uploaded PDF')
+  }
+})
+
+// Handles GET requests to '/pdf/:documentNumber' by sending the PDF itself, for the viewer
+app.get('/pdf/:documentNumber', async (req, res) => {
+  const documentNumber = req.params.documentNumber
+
+  console.log(`Incoming call to pdf for ${documentNumber}`)
+
+  try {
+    const pdfData = await loadPDFData(documentNumber)
+    res.type('application/pdf').send(pdfData)
+  } catch (error) {
+    sendError(res, error, 'Error loading PDF')
+  }
+})
+
+// Handles GET requests to '/metadata/:documentNumber' by returning the bibliographic data of the front page
+app.get('/metadata/:documentNumber', async (req, res) => {
+  const documentNumber = req.params.documentNumber
+
+  console.log(`Incoming call to metadata for ${documentNumber}`)
+
+  try {
+    const [, , metadata] = await loadDocument(documentNumber)
+
+    res.json({ documentNumber, metadata })
+  } catch (error) {
+    sendError(res, error, 'Error reading metadata from PDF')
+  }
+})
+
+// Handles GET requests to '/claims/:documentNumber' by returning the numbered claims of a document
+app.get('/claims/:documentNumber', async (req, res) => {
+  const documentNumber = req.params.documentNumber
+
+  console.log(`Incoming call to claims for ${documentNumber}`)
+
+  try {
+    const [, combinedPDFLines] = await loadDocument(documentNumber)
+
+    const claims = getClaims(combinedPDFLines)
+    console.log(`Found ${claims.length} claim(s)`)
+
+    res.json({ documentNumber, claims })
+  } catch (error) {
+    sendError(res, error, 'Error parsing claims from PDF')
+  }
+})
+
+// Handles GET requests to '/reference-numerals/:documentNumber' by returning the reference
+// numerals of a document with the elements they name, the lines they are mentioned on and the
+// figures showing them. A `numeral` query parameter returns only that numeral.
+app.get('/reference-numerals/:documentNumber', async (req, res) => {
+  const documentNumber = req.params.documentNumber
+  const { numeral } = req.query
+
+  console.log(`Incoming call to reference-numerals for ${documentNumber}`)
+
+  try {
+    const [, combinedPDFLines, , drawingSheets] = await loadDocument(documentNumber)
+
+    let numerals = getReferenceNumerals(combinedPDFLines, drawingSheets)
+    if (numeral !== undefined) {
+      numerals = numerals.filter((entry) => entry.numeral === String(numeral))
+    }
+    console.log(`Found ${numerals.length} reference numeral(s)`)
+
+    res.json({ documentNumber, numerals })
+  } catch (error) {
+    sendError(res, error, 'Error indexing reference numerals')
+  }
+})
 
+// Handles POST requests to '/search-pdf' route
+app.post('/search-pdf', async (req, res) => {
   // Logs the incoming request to the console
   console.log('Incoming call to search-pdf')
-  console.log(`Document: ${documentNumber}`)
-  console.log(`Search string: ${searchString}`)
 
   try {
-    const [searchablePDF, combinedPDFLines] =
-      await pdfSearch.createSearchablePDF(documentNumber.trim())
-    let numberedPDFText = ''
-    combinedPDFLines.forEach((pdfLine) => {
-      numberedPDFText += `Page: ${pdfLine.page} Y: ${pdfLine.y.toFixed(2)} X: ${pdfLine.x.toFixed(2)} Column: ${pdfLine.column}, Line: ${pdfLine.lineNumber}, Text: ${pdfLine.text} \n`
-    })
+    // Reads the normalized document number (or the ID of an uploaded PDF) and
+    // the search string from the request body. The search mode 'align'
+    // tolerates missing, extra and reordered words, and `sections` limits the
+    // search to parts of the specification, e.g. to skip the background art.
+    const { documentNumber, searchString, searchOptions } =
+      validateSearchRequest(req.body)
+    console.log(`Document: ${documentNumber}`)
+    console.log(`Search string: ${searchString}`)
+
+    const parsedDocument = await loadDocument(documentNumber)
+
+    res.json(
+      await searchDocument(documentNumber, parsedDocument, searchString, searchOptions)
+    )
+  } catch (error) {
+    // Logs the error and returns it with its error code, or as a 500 Internal Server Error
+    sendError(res, error, 'Error extracting text from PDF')
+  }
+})
+
+// Handles GET requests to '/search-pdf/stream', which searches like '/search-pdf'
+// (with the same fields in the query string) but streams Server-Sent Events: a
+// 'progress' event for each step of the download and the parse, then a 'result'
+// event with the response of '/search-pdf', or a 'failure' event with the error
+app.get('/search-pdf/stream', async (req, res) => {
+  console.log('Incoming call to search-pdf/stream')
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  })
+  res.flushHeaders()
+
+  // Closing the event stream, e.g. with the app's Cancel button, stops the download and the parse
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Search cancelled by the client')
+      controller.abort()
+    }
+  })
+
+  try {
+    const { documentNumber, searchString, searchOptions } =
+      validateSearchRequest(req.query)
+    console.log(`Document: ${documentNumber}`)
+    console.log(`Search string: ${searchString}`)
+
+    const progressOptions = {
+      onProgress: (progress) => sendEvent(res, 'progress', progress),
+      signal: controller.signal,
+    }
+    const parsedDocument = await loadDocument(documentNumber, progressOptions)
+
+    // The worker reports the 'indexing' and 'searching' progress
+    sendEvent(
+      res,
+      'result',
+      await searchDocument(
+        documentNumber,
+        parsedDocument,
+        searchString,
+        searchOptions,
+        progressOptions
+      )
+    )
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return
+    }
+    const { error: body } = toErrorResponse(error, 'Error extracting text from PDF')
+    sendEvent(res, 'failure', body)
+  }
+  res.end()
+})
+
+// Handles POST requests to '/search-pdf/batch' by searching one document for many quotes
+app.post('/search-pdf/batch', async (req, res) => {
+  console.log('Incoming call to search-pdf/batch')
+
+  try {
+    const documentNumber = validateDocumentKey(req.body)
+    // Either a list of search strings, or a claim that is split into its limitations
+    const searchStrings = getSearchStrings(req.body)
+    // 'align' tolerates missing, extra and reordered words, and `sections` limits the search
+    const searchOptions = validateSearchOptions(req.body)
+    console.log(`Document: ${documentNumber}`)
+    console.log(`Search strings: ${searchStrings.length}`)
+
+    // Parse the document once and run every search against it
+    const [searchablePDF] = await loadDocument(documentNumber)
+
+    // One row per search string, with its best matches first
+    const rows = await searchRows(documentNumber, searchablePDF, searchStrings, searchOptions)
+
+    res.json({ documentNumber, rows })
+  } catch (error) {
+    sendError(res, error, 'Error extracting text from PDF')
+  }
+})
+
+// Handles POST requests to '/export/:format' by searching one document and
+// downloading the citations as a DOCX claim chart, CSV or JSON report
+app.post('/export/:format', async (req, res) => {
+  const format = req.params.format
+  console.log(`Incoming call to export as ${format}`)
+
+  try {
+    // Only the formats themselves, not what `reportFormats` inherits, e.g. 'constructor'
+    if (!Object.hasOwn(reportFormats, format)) {
+      throw createError('INVALID_REQUEST', `Unknown report format ${format}`)
+    }
+    const documentNumber = validateDocumentKey(req.body)
+    const searchStrings = getSearchStrings(req.body)
+    // 'align' tolerates missing, extra and reordered words, and `sections` limits the search
+    const searchOptions = validateSearchOptions(req.body)
+    console.log(`Document: ${documentNumber}`)
+    console.log(`Search strings: ${searchStrings.length}`)
+
+    const [searchablePDF, , metadata] = await loadDocument(documentNumber)
 
+    const rows = await searchRows(documentNumber, searchablePDF, searchStrings, searchOptions)
+    const report = buildReport(documentNumber, metadata, rows)
+    const fileName = `${report.documentNumber.replace(/[^A-Za-z0-9-]+/g, '')}-citations.${format}`
 
-    const searchResults = pdfSearch.searchPDF(searchablePDF, searchString)
-    let allSearchResults = '';
-    const searchResultCol = searchResults.length > 0 ? searchResults[0][0].column : -1;
-    const searchResultLine = searchResults.length > 0 ? searchResults[0][0].line : -1;
-    searchResults.forEach((result) => {
-      result.forEach((location) => {
-        allSearchResults += `Column: ${location.column} Line: ${location.line} Text: ${location.text} \n`
+    res
+      .type(reportFormats[format])
+      .attachment(fileName)
+      .send(await exportReport(report, format))
+  } catch (error) {
+    sendError(res, error, 'Error exporting citation report')
+  }
+})
+
+// Handles POST requests to '/search-pdfs' by searching several documents for one quote
+app.post('/search-pdfs', async (req, res) => {
+  console.log('Incoming call to search-pdfs')
+
+  try {
+    if (!Array.isArray(req.body.documentNumbers)) {
+      throw createError('INVALID_REQUEST', 'documentNumbers must be a list of document numbers')
+    }
+    // Accept duplicates and blank entries from pasted lists, but only load each document once.
+    // Numbers that are not valid fail on their own when they are loaded.
+    const documentNumbers = [
+      ...new Set(
+        req.body.documentNumbers
+          .map((documentNumber) => String(documentNumber).trim())
+          .filter((documentNumber) => documentNumber)
+          .map((documentNumber) => normalizeDocumentNumber(documentNumber) || documentNumber)
+      ),
+    ]
+    const searchString = req.body.searchString
+    if (typeof searchString !== 'string' || !searchString.trim()) {
+      throw createError('INVALID_REQUEST', 'Enter the text to search for')
+    }
+    // 'align' tolerates missing, extra and reordered words, and `sections` limits the search
+    const searchOptions = validateSearchOptions(req.body)
+    console.log(`Documents: ${documentNumbers.join(', ')}`)
+    console.log(`Search string: ${searchString}`)
+
+    const loadedDocuments = await loadDocuments(documentNumbers)
+
+    const documents = await Promise.all(
+      loadedDocuments.map(async ({ documentNumber, document, error, code }) => {
+        if (error) {
+          return { documentNumber, bestScore: 0, searchResults: [], error, code }
+        }
+        const [searchablePDF] = document
+        const [{ searchResults }] = await searchRows(
+          documentNumber,
+          searchablePDF,
+          [searchString],
+          searchOptions
+        )
+        const bestScore = searchResults.length > 0 ? searchResults[0].score : 0
+        return { documentNumber, bestScore, searchResults }
       })
-      allSearchResults +=
-        '*********************************************************************************\n'
+    )
+
+    // Rank the documents by their best match, with failed documents last
+    documents.sort((a, b) => {
+      if (!!a.error !== !!b.error) {
+        return a.error ? 1 : -1
+      }
+      return b.bestScore - a.bestScore
     })
-    console.log(`Search result column: ${searchResultCol}`)
-    console.log(`Search result line: ${searchResultLine}`)
 
-    res.json({ text: numberedPDFText, searchResults: allSearchResults, searchResultCol: searchResultCol, searchResultLine: searchResultLine })
+    res.json({ searchString, documents })
+  } catch (error) {
+    sendError(res, error, 'Error searching documents')
+  }
+})
+
+// Handles DELETE requests to '/cache/:documentNumber' by dropping the cached parse of a document
+app.delete('/cache/:documentNumber', async (req, res) => {
+  console.log(`Invalidating cached copy of ${req.params.documentNumber}`)
+
+  try {
+    // The cache is keyed by the normalized number, e.g. '7123456' for 'US 7,123,456 B2'
+    const documentNumber = toDocumentKey(req.params.documentNumber)
+    const invalidated =
+      await documentCache.invalidateCachedDocument(documentNumber)
+    res.json({ documentNumber, invalidated })
   } catch (error) {
-    // Logs the error and returns a 500 Internal Server Error response
-    console.error('Error extracting text:', error)
-    res.status(500).send('Error extracting text from PDF')
+    sendError(res, error, 'Error invalidating cached document')
+  }
+})
+
+// Handles POST requests to '/cache/:documentNumber/refresh' by parsing a document again
+app.post('/cache/:documentNumber/refresh', async (req, res) => {
+  const documentNumber = req.params.documentNumber
+  console.log(`Refreshing cached copy of ${documentNumber}`)
+
+  try {
+    const [, combinedPDFLines] = await loadDocument(documentNumber, {
+      refresh: true,
+    })
+    res.json({ documentNumber, lineCount: combinedPDFLines.length })
+  } catch (error) {
+    sendError(res, error, 'Error extracting text from PDF')
+  }
+})
+
+// Turns the errors Express and its middleware raise before a route runs, such
+// as a malformed JSON body or an upload over the size limit, into JSON errors
+// like those of the routes. Must be registered after every route.
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error)
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return sendError(
+      res,
+      createError('INVALID_REQUEST', 'The request body is not valid JSON'),
+      'Error reading request'
+    )
+  }
+  if (error instanceof multer.MulterError) {
+    const message =
+      error.code === 'LIMIT_FILE_SIZE'
+        ? `The PDF is larger than the ${maxUploadMb} MB upload limit`
+        : error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? 'Upload the PDF in the "pdf" field'
+          : error.message
+    return sendError(res, createError('INVALID_REQUEST', message), 'Error reading upload')
+  }
+  // Other errors of the body parser, e.g. a body over its size limit
+  if (error.type && error.status >= 400 && error.status < 500) {
+    return sendError(res, createError('INVALID_REQUEST', error.message), 'Error reading request')
   }
 
+  sendError(res, error, 'Error handling request')
 })
 
 app.listen(port, () => {
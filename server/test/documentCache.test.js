@@ -0,0 +1,159 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Worker } = require('worker_threads')
+
+// Keep the entries of the test out of the server's cache
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'document-cache-'))
+process.env.PDF_CACHE_DIR = cacheDir
+// One worker, so every search runs on the worker holding the earlier copy
+process.env.PDF_WORKERS = '1'
+
+const config = require('../config')
+const documentCache = require('../documentCache')
+const { searchPDFs } = require('../pdfJobs')
+
+/**
+ * Builds a searchable PDF from plain text printed on one line, in the shape
+ * `createSearchablePDF` returns.
+ *
+ * @param {string} text - The text of the document.
+ * @returns {Array<Object>} The words of the document.
+ */
+function toSearchablePDF(text) {
+  return text.split(' ').map((word) => ({ column: 1, line: 1, text: word, word }))
+}
+
+/**
+ * Caches a document as if it had been parsed from the given PDF bytes.
+ *
+ * @param {string} documentKey - The patent number of the document.
+ * @param {string} pdfData - The bytes the document was parsed from.
+ * @param {Array<Object>} searchablePDF - The searchable PDF of the document.
+ * @returns {Promise<void>}
+ */
+function cacheDocument(documentKey, pdfData, searchablePDF) {
+  return documentCache.setCachedDocument(
+    documentKey,
+    documentCache.hashPDFData(Buffer.from(pdfData)),
+    searchablePDF,
+    [],
+    null,
+    []
+  )
+}
+
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }))
+
+test.describe('document versions', () => {
+  test('a cached document reads back from disk with the version it was stored with', async (t) => {
+    const memoryEntries = config.cache.memoryEntries
+    t.after(() => {
+      config.cache.memoryEntries = memoryEntries
+    })
+    config.cache.memoryEntries = 0
+
+    const searchablePDF = toSearchablePDF('a housing 12 with a lid 14')
+    await cacheDocument('7000004', '%PDF- first', searchablePDF)
+
+    const [cachedPDF] = await documentCache.getCachedDocument('7000004')
+    assert.notStrictEqual(cachedPDF, searchablePDF)
+    assert.ok(documentCache.getDocumentVersion(searchablePDF))
+    assert.strictEqual(
+      documentCache.getDocumentVersion(cachedPDF),
+      documentCache.getDocumentVersion(searchablePDF)
+    )
+  })
+
+  test('a search worker holding the index of a document is not sent its words again', async (t) => {
+    const jobs = []
+    const postMessage = Worker.prototype.postMessage
+    t.after(() => {
+      Worker.prototype.postMessage = postMessage
+    })
+    Worker.prototype.postMessage = function (message, ...args) {
+      jobs.push(message)
+      return postMessage.call(this, message, ...args)
+    }
+
+    const searchablePDF = toSearchablePDF('a housing 12 with a lid 14')
+    await cacheDocument('7000010', '%PDF- first', searchablePDF)
+    const [housingMatches] = await searchPDFs('7000010', searchablePDF, ['housing'], {})
+    const [lidMatches] = await searchPDFs('7000010', searchablePDF, ['lid'], {})
+    assert.strictEqual(housingMatches.length, 1)
+    assert.strictEqual(lidMatches.length, 1)
+
+    // The first search misses and is sent again with the words
+    assert.deepStrictEqual(
+      jobs.map((job) => 'searchablePDF' in job.data),
+      [false, true, false]
+    )
+  })
+
+  test('a search worker does not reuse the index of a changed document of the same length', async () => {
+    const firstPDF = toSearchablePDF('a housing 12 with a lid 14')
+    await cacheDocument('7000005', '%PDF- first', firstPDF)
+    const [firstMatches] = await searchPDFs('7000005', firstPDF, ['housing'], {})
+    assert.strictEqual(firstMatches.length, 1)
+
+    // Parsed again from a corrected PDF with as many words
+    const secondPDF = toSearchablePDF('a chassis 12 with a cover 14')
+    await cacheDocument('7000005', '%PDF- second', secondPDF)
+    assert.notStrictEqual(
+      documentCache.getDocumentVersion(secondPDF),
+      documentCache.getDocumentVersion(firstPDF)
+    )
+    const [housingMatches, chassisMatches] = await searchPDFs(
+      '7000005',
+      secondPDF,
+      ['housing', 'chassis'],
+      {}
+    )
+    assert.strictEqual(housingMatches.length, 0)
+    assert.strictEqual(chassisMatches.length, 1)
+  })
+})
+
+test.describe('memory cache', () => {
+  test('a document used again is served from memory', async () => {
+    const searchablePDF = toSearchablePDF('a housing 12 with a lid 14')
+    await cacheDocument('7000006', '%PDF- first', searchablePDF)
+
+    const [cachedPDF] = await documentCache.getCachedDocument('7000006')
+    assert.strictEqual(cachedPDF, searchablePDF)
+    assert.strictEqual((await documentCache.getCachedDocument('7000006'))[0], cachedPDF)
+  })
+
+  test('a document whose file is deleted while it is read is still a hit', async () => {
+    await cacheDocument('7000007', '%PDF- first', toSearchablePDF('a housing 12'))
+    // As when another request evicts the file between the read and the touch
+    fs.rmSync(path.join(cacheDir, '7000007.json'))
+
+    const cachedDocument = await documentCache.getCachedDocument('7000007')
+    assert.strictEqual(cachedDocument[0][1].text, 'housing')
+  })
+
+  test('an invalidated document is not served from memory', async () => {
+    await cacheDocument('7000008', '%PDF- first', toSearchablePDF('a housing 12'))
+    assert.ok(await documentCache.invalidateCachedDocument('7000008'))
+    assert.strictEqual(await documentCache.getCachedDocument('7000008'), null)
+  })
+})
+
+test.describe('cached PDFs', () => {
+  test('the PDF of a document is kept until the document is invalidated', async () => {
+    const pdfData = Buffer.from('%PDF- first')
+    await documentCache.setCachedPDF('7000009', documentCache.hashPDFData(pdfData), pdfData)
+    await cacheDocument('7000009', '%PDF- first', toSearchablePDF('a housing 12'))
+    assert.deepStrictEqual(await documentCache.getCachedPDF('7000009'), pdfData)
+
+    await documentCache.invalidateCachedDocument('7000009')
+    assert.strictEqual(await documentCache.getCachedPDF('7000009'), null)
+    assert.deepStrictEqual(
+      fs.readdirSync(cacheDir).filter((fileName) => fileName.startsWith('7000009')),
+      []
+    )
+  })
+})
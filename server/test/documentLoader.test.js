@@ -0,0 +1,114 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// Keep the documents of the test out of the server's cache
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'document-loader-'))
+process.env.PDF_CACHE_DIR = cacheDir
+
+const { loadDocument, loadPDFData } = require('../documentLoader')
+const { setProviders } = require('../providers')
+const { createFixtureProvider } = require('../providers/fixture')
+
+// A sample patent, served by the fixture provider
+const samplePDF = path.join(__dirname, 'fixtures', '7123461.pdf')
+
+/**
+ * Wraps a provider to count how often it is asked for a PDF.
+ *
+ * @param {Object} provider - The provider to wrap.
+ * @returns {Object} The provider, with its `calls`.
+ */
+function countCalls(provider) {
+  const counted = {
+    name: provider.name,
+    calls: 0,
+    fetchPDF(...args) {
+      counted.calls++
+      return provider.fetchPDF(...args)
+    },
+  }
+  return counted
+}
+
+/**
+ * Creates a provider that answers after a delay without the document, and
+ * counts how often it is asked.
+ *
+ * @param {number} delayMs - How long the lookup takes.
+ * @returns {Object} The provider, with its `calls`.
+ */
+function createSlowMissingProvider(delayMs) {
+  const provider = {
+    name: 'slow',
+    calls: 0,
+    async fetchPDF() {
+      provider.calls++
+      await new Promise((resolve) => setTimeout(resolve, delayMs))
+      return null
+    },
+  }
+  return provider
+}
+
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }))
+
+test.describe('loadDocument', () => {
+  test.after(() => setProviders(null))
+
+  test('does not start a parse for a request that was cancelled before it', async () => {
+    const provider = createSlowMissingProvider(10)
+    setProviders([provider])
+
+    const controller = new AbortController()
+    controller.abort(new Error('cancelled'))
+    await assert.rejects(loadDocument('7000002', { signal: controller.signal }), /cancelled/)
+    assert.strictEqual(provider.calls, 0)
+  })
+
+  test('a parse that fails after its last waiter left is not an unhandled rejection', async () => {
+    setProviders([createSlowMissingProvider(50)])
+
+    let unhandled = []
+    const onUnhandled = (reason) => unhandled.push(reason)
+    process.on('unhandledRejection', onUnhandled)
+    try {
+      const controller = new AbortController()
+      const loading = loadDocument('7000003', { signal: controller.signal })
+      setTimeout(() => controller.abort(new Error('cancelled')), 10)
+      await assert.rejects(loading, /cancelled/)
+
+      // Let the lookup finish and fail with nobody waiting for it
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      assert.deepStrictEqual(unhandled, [])
+    } finally {
+      process.off('unhandledRejection', onUnhandled)
+    }
+  })
+})
+
+test.describe('loadPDFData', () => {
+  test.after(() => setProviders(null))
+
+  test('serves the PDF of a parsed document from the cache', async () => {
+    const provider = countCalls(createFixtureProvider({ fixtures: { 7123461: samplePDF } }))
+    setProviders([provider])
+
+    await loadDocument('7123461')
+    assert.strictEqual(provider.calls, 1)
+
+    const pdfData = await loadPDFData('US 7,123,461')
+    assert.deepStrictEqual(pdfData, fs.readFileSync(samplePDF))
+    assert.strictEqual(provider.calls, 1)
+  })
+
+  test('downloads the PDF of a document that is not cached', async () => {
+    const provider = countCalls(createFixtureProvider({ fixtures: { 7123463: samplePDF } }))
+    setProviders([provider])
+
+    assert.deepStrictEqual(await loadPDFData('7123463'), fs.readFileSync(samplePDF))
+    assert.strictEqual(provider.calls, 1)
+  })
+})
@@ -0,0 +1,116 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const path = require('path')
+const { getPDF } = require('../pdfParser')
+const { parseFrontPage } = require('../frontPage')
+const { readGoldenMetadata, writeGoldenMetadata } = require('./goldenFiles')
+
+// The sample PDFs, named by the document number they are fetched by
+const fixturesDir = path.join(__dirname, 'fixtures')
+
+// `npm run test:update-golden` writes the current output as the new golden files
+const updateGolden = Boolean(process.env.UPDATE_GOLDEN)
+
+const documentNumbers = fs
+  .readdirSync(fixturesDir)
+  .filter((fileName) => fileName.endsWith('.pdf'))
+  .map((fileName) => path.basename(fileName, '.pdf'))
+  .sort()
+
+/**
+ * Turns lines of text into front page lines, as `getFrontPageLines` returns them.
+ *
+ * @param {Array<string>} texts - The text of each line.
+ * @returns {Array<Object>} The lines.
+ */
+function toLines(texts) {
+  return texts.map((text) => ({ text }))
+}
+
+test.describe('front page metadata', () => {
+  for (const documentNumber of documentNumbers) {
+    test(`${documentNumber} matches its golden metadata`, async () => {
+      const pdfData = fs.readFileSync(path.join(fixturesDir, `${documentNumber}.pdf`))
+      const { metadata } = await getPDF(new Uint8Array(pdfData))
+
+      if (updateGolden) {
+        await writeGoldenMetadata(documentNumber, metadata)
+        return
+      }
+
+      const expectedMetadata = await readGoldenMetadata(documentNumber)
+      assert.ok(
+        expectedMetadata,
+        `${documentNumber} has no golden metadata, run \`npm run test:update-golden\` to create it`
+      )
+      assert.deepStrictEqual(metadata, expectedMetadata)
+    })
+  }
+})
+
+test.describe('parseFrontPage', () => {
+  test('splits the fields by INID code, continuing a field over several lines', () => {
+    const metadata = parseFrontPage(
+      toLines([
+        '(12) United States Patent',
+        '(54) WIDGET ASSEMBLY WITH',
+        'ADJUSTABLE SENSOR',
+        '(75) Inventors: John A. Smith, Austin, TX',
+        '(US); Jane Doe, Dallas, TX (US)',
+        '(99) Not a field we read',
+        '(57) ABSTRACT',
+        'A widget assembly.',
+      ])
+    )
+    assert.strictEqual(metadata.title, 'WIDGET ASSEMBLY WITH ADJUSTABLE SENSOR')
+    assert.deepStrictEqual(metadata.inventors, ['John A. Smith', 'Jane Doe'])
+    assert.strictEqual(metadata.abstract, 'A widget assembly.')
+  })
+
+  test('reads the dates and the earliest priority date', () => {
+    const metadata = parseFrontPage(
+      toLines([
+        '(22) Filed: Mar. 3, 2005',
+        '(30) Foreign Application Priority Data',
+        'Mar. 5, 2004 (DE) ........ 10 2004 010 123',
+        '(60) Provisional application No. 60/123,456,',
+        'filed on June 4, 2003.',
+        '(45) Date of Patent: Jan. 1, 2008',
+      ])
+    )
+    assert.strictEqual(metadata.filingDate, '2005-03-03')
+    assert.deepStrictEqual(metadata.priorityDates, ['2004-03-05', '2003-06-04'])
+    assert.strictEqual(metadata.earliestPriorityDate, '2003-06-04')
+    assert.strictEqual(metadata.issueDate, '2008-01-01')
+    assert.strictEqual(metadata.publicationDate, null)
+  })
+
+  test('ends the names of cited documents at headings and country codes', () => {
+    const { referencesCited } = parseFrontPage(
+      toLines([
+        '(56) References Cited',
+        'U.S. PATENT DOCUMENTS',
+        '5,123,456 A 6/1992 Smith',
+        '6,234,567 B1 * 5/2001 Jones et al. FOREIGN PATENT DOCUMENTS EP 1234567 A1 3/2004',
+        'JP 2001-123456 A 4/2001',
+        'OTHER PUBLICATIONS',
+        'Brown, "Widgets", 5,555,555 A 1/1999',
+      ])
+    )
+    assert.deepStrictEqual(referencesCited, [
+      { country: 'US', number: '5123456', kind: 'A', date: '1992-06', name: 'Smith' },
+      { country: 'US', number: '6234567', kind: 'B1', date: '2001-05', name: 'Jones et al.' },
+      { country: 'EP', number: '1234567', kind: 'A1', date: '2004-03', name: null },
+      { country: 'JP', number: '2001-123456', kind: 'A', date: '2001-04', name: null },
+    ])
+  })
+
+  test('leaves the fields of a page without INID codes empty', () => {
+    const metadata = parseFrontPage(toLines(['WIDGET ASSEMBLY', 'by John Smith']))
+    assert.strictEqual(metadata.documentNumber, null)
+    assert.strictEqual(metadata.title, null)
+    assert.deepStrictEqual(metadata.inventors, [])
+    assert.deepStrictEqual(metadata.referencesCited, [])
+  })
+})
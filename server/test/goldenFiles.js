@@ -0,0 +1,222 @@
+const fs = require('fs/promises')
+const path = require('path')
+
+// The reviewed output of the numbering pipeline, one JSON file per sample PDF
+const goldenDir = path.join(__dirname, 'golden')
+
+// How many unchanged lines a diff shows around each change
+const contextLines = 2
+
+// How many lines of a diff are shown before the rest is summarized
+const maxDiffLines = 80
+
+/**
+ * Keeps what a citation depends on from each numbered line, and the section
+ * it is in. The positions are left out, so only a change that shifts a
+ * citation or moves a line to another section fails a test.
+ *
+ * @param {Array<Object>} pdfLines - The lines returned by `getPDF`.
+ * @returns {Array<Object>} The lines as they are stored in a golden file.
+ */
+function toGoldenLines(pdfLines) {
+  return pdfLines.map((pdfLine) => ({
+    page: pdfLine.page,
+    column: pdfLine.column,
+    lineNumber: pdfLine.lineNumber,
+    paragraph: pdfLine.paragraph,
+    claim: pdfLine.claim,
+    section: pdfLine.section,
+    text: pdfLine.text,
+  }))
+}
+
+/**
+ * Writes golden lines with one line per object, so a regenerated golden file
+ * can be reviewed line by line in a git diff.
+ *
+ * @param {Array<Object>} goldenLines - The lines returned by `toGoldenLines`.
+ * @returns {string} The contents of the golden file.
+ */
+function serializeGoldenLines(goldenLines) {
+  const entries = goldenLines.map((goldenLine) => `  ${JSON.stringify(goldenLine)}`)
+  return `[\n${entries.join(',\n')}\n]\n`
+}
+
+/**
+ * Reads the golden lines of a sample PDF.
+ *
+ * @param {string} documentNumber - The document number the sample PDF is named by.
+ * @returns {Promise<Array<Object>|null>} The golden lines, or null if there is no golden file yet.
+ */
+async function readGolden(documentNumber) {
+  try {
+    const contents = await fs.readFile(path.join(goldenDir, `${documentNumber}.json`), 'utf8')
+    return JSON.parse(contents)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Replaces the golden file of a sample PDF.
+ *
+ * @param {string} documentNumber - The document number the sample PDF is named by.
+ * @param {Array<Object>} goldenLines - The lines returned by `toGoldenLines`.
+ */
+async function writeGolden(documentNumber, goldenLines) {
+  await fs.mkdir(goldenDir, { recursive: true })
+  await fs.writeFile(
+    path.join(goldenDir, `${documentNumber}.json`),
+    serializeGoldenLines(goldenLines)
+  )
+}
+
+/**
+ * Reads the golden front page metadata of a sample PDF.
+ *
+ * @param {string} documentNumber - The document number the sample PDF is named by.
+ * @returns {Promise<Object|null>} The metadata, or null if there is no golden file yet.
+ */
+async function readGoldenMetadata(documentNumber) {
+  try {
+    const contents = await fs.readFile(
+      path.join(goldenDir, `${documentNumber}.metadata.json`),
+      'utf8'
+    )
+    return JSON.parse(contents)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Replaces the golden front page metadata of a sample PDF.
+ *
+ * @param {string} documentNumber - The document number the sample PDF is named by.
+ * @param {Object} metadata - The metadata returned by `getPDF`.
+ */
+async function writeGoldenMetadata(documentNumber, metadata) {
+  await fs.mkdir(goldenDir, { recursive: true })
+  await fs.writeFile(
+    path.join(goldenDir, `${documentNumber}.metadata.json`),
+    `${JSON.stringify(metadata, null, 2)}\n`
+  )
+}
+
+/**
+ * Formats a golden line as its citation and section followed by its text, e.g.
+ * "p3 4:12 claim 2 claims | the sensor is an optical sensor.".
+ *
+ * @param {Object} goldenLine - A line returned by `toGoldenLines`.
+ * @returns {string} The line as it is shown in a diff.
+ */
+function formatGoldenLine(goldenLine) {
+  let citation = `p${goldenLine.page}`
+  if (goldenLine.paragraph !== undefined) {
+    citation += ` [${goldenLine.paragraph}]`
+  } else {
+    citation += ` ${goldenLine.column}:${goldenLine.lineNumber}`
+  }
+  if (goldenLine.claim !== undefined) {
+    citation += ` claim ${goldenLine.claim}`
+  }
+  if (goldenLine.section) {
+    citation += ` ${goldenLine.section}`
+  }
+  return `${citation} | ${goldenLine.text}`
+}
+
+/**
+ * Compares the golden lines of a sample PDF with the lines it is numbered
+ * with now, as a unified diff of citations. A line that keeps its text but
+ * moves to another column, line, claim or section shows up as a removed and an added line.
+ *
+ * @param {Array<Object>} expectedLines - The golden lines.
+ * @param {Array<Object>} actualLines - The lines returned by `toGoldenLines` for the current output.
+ * @returns {string} The diff, or an empty string if the lines are the same.
+ */
+function diffGoldenLines(expectedLines, actualLines) {
+  const expected = expectedLines.map(formatGoldenLine)
+  const actual = actualLines.map(formatGoldenLine)
+
+  // The length of the longest common subsequence of the lines from each position on
+  let common = Array.from({ length: expected.length + 1 }, () =>
+    new Uint32Array(actual.length + 1)
+  )
+  for (let i = expected.length - 1; i >= 0; i--) {
+    for (let j = actual.length - 1; j >= 0; j--) {
+      common[i][j] =
+        expected[i] === actual[j]
+          ? common[i + 1][j + 1] + 1
+          : Math.max(common[i + 1][j], common[i][j + 1])
+    }
+  }
+
+  // Walk the table into a list of kept, removed and added lines
+  let edits = []
+  let i = 0
+  let j = 0
+  while (i < expected.length || j < actual.length) {
+    if (i < expected.length && j < actual.length && expected[i] === actual[j]) {
+      edits.push({ type: ' ', line: expected[i], expectedIndex: i, actualIndex: j })
+      i++
+      j++
+    } else if (i < expected.length && (j === actual.length || common[i + 1][j] >= common[i][j + 1])) {
+      edits.push({ type: '-', line: expected[i], expectedIndex: i, actualIndex: j })
+      i++
+    } else {
+      edits.push({ type: '+', line: actual[j], expectedIndex: i, actualIndex: j })
+      j++
+    }
+  }
+
+  const changed = edits.filter((edit) => edit.type !== ' ')
+  if (changed.length === 0) {
+    return ''
+  }
+
+  // Show each change with a few unchanged lines around it, like `git diff`
+  let output = []
+  let lastShown = -1
+  edits.forEach((edit, index) => {
+    const nearChange = edits
+      .slice(Math.max(0, index - contextLines), index + contextLines + 1)
+      .some((nearEdit) => nearEdit.type !== ' ')
+    if (!nearChange) {
+      return
+    }
+    if (index !== lastShown + 1) {
+      output.push(`@@ golden line ${edit.expectedIndex + 1}, output line ${edit.actualIndex + 1} @@`)
+    }
+    output.push(`${edit.type} ${edit.line}`)
+    lastShown = index
+  })
+
+  if (output.length > maxDiffLines) {
+    const hidden = output.length - maxDiffLines
+    output = output.slice(0, maxDiffLines)
+    output.push(`... and ${hidden} more diff line(s)`)
+  }
+
+  const removed = changed.filter((edit) => edit.type === '-').length
+  const added = changed.length - removed
+  return [
+    `${removed} golden line(s) no longer match, ${added} line(s) are new (- golden, + output):`,
+    ...output,
+  ].join('\n')
+}
+
+module.exports = {
+  diffGoldenLines,
+  readGolden,
+  readGoldenMetadata,
+  toGoldenLines,
+  writeGolden,
+  writeGoldenMetadata,
+}
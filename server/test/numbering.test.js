@@ -0,0 +1,62 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const path = require('path')
+const { getPDF } = require('../pdfParser')
+const { fetchPDF, setProviders } = require('../providers')
+const { createLocalDirectoryProvider } = require('../providers/localDirectory')
+const { diffGoldenLines, readGolden, toGoldenLines, writeGolden } = require('./goldenFiles')
+
+// The sample PDFs, named by the document number they are fetched by
+const fixturesDir = path.join(__dirname, 'fixtures')
+
+// `npm run test:update-golden` writes the current output as the new golden files
+const updateGolden = Boolean(process.env.UPDATE_GOLDEN)
+
+// Serve the sample PDFs instead of downloading patents
+setProviders([createLocalDirectoryProvider({ dir: fixturesDir })])
+
+const documentNumbers = fs
+  .readdirSync(fixturesDir)
+  .filter((fileName) => fileName.endsWith('.pdf'))
+  .map((fileName) => path.basename(fileName, '.pdf'))
+  .sort()
+
+test.describe('column and line numbering', () => {
+  for (const documentNumber of documentNumbers) {
+    test(`${documentNumber} matches its golden file`, async () => {
+      const pdfData = await fetchPDF(documentNumber)
+      const { lines } = await getPDF(new Uint8Array(pdfData))
+      const actualLines = toGoldenLines(lines)
+
+      if (updateGolden) {
+        await writeGolden(documentNumber, actualLines)
+        return
+      }
+
+      const expectedLines = await readGolden(documentNumber)
+      assert.ok(
+        expectedLines,
+        `${documentNumber} has no golden file, run \`npm run test:update-golden\` to create it`
+      )
+
+      const diff = diffGoldenLines(expectedLines, actualLines)
+      if (diff) {
+        assert.fail(
+          `The numbering of ${documentNumber} changed. If the change is intended, run ` +
+            `\`npm run test:update-golden\` and review the golden files.\n${diff}`
+        )
+      }
+    })
+  }
+})
+
+// Sample PDFs whose layout cannot be numbered, kept apart from the golden samples
+const unrecognizedDir = path.join(fixturesDir, 'unrecognized')
+
+test.describe('unrecognized layouts', () => {
+  test('a published application without paragraph numbers is LAYOUT_UNRECOGNIZED', async () => {
+    const pdfData = fs.readFileSync(path.join(unrecognizedDir, '20190123457.pdf'))
+    await assert.rejects(getPDF(new Uint8Array(pdfData)), { code: 'LAYOUT_UNRECOGNIZED' })
+  })
+})
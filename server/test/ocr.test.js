@@ -0,0 +1,44 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const Module = require('module')
+const path = require('path')
+
+// Fail to load `canvas` the way it does where its native module was not
+// built, so the test takes the same path on every machine
+const loadModule = Module._load
+Module._load = function (request, ...args) {
+  if (request === 'canvas') {
+    const error = new Error("Cannot find module '../build/Release/canvas.node'")
+    error.code = 'MODULE_NOT_FOUND'
+    throw error
+  }
+  return loadModule.call(this, request, ...args)
+}
+
+const config = require('../config')
+const { getPDF } = require('../pdfParser')
+
+// A scanned patent: pages without a text layer
+const scannedPDF = path.join(__dirname, 'fixtures', 'scanned', '7123462.pdf')
+
+test.describe('OCR fallback', () => {
+  test.after(() => {
+    Module._load = loadModule
+  })
+
+  test('a scanned PDF is NO_TEXT_LAYER when the OCR modules cannot be loaded', async () => {
+    assert.ok(config.ocr.enabled)
+    const pdfData = fs.readFileSync(scannedPDF)
+    await assert.rejects(getPDF(new Uint8Array(pdfData)), { code: 'NO_TEXT_LAYER' })
+  })
+
+  test('a scanned PDF is NO_TEXT_LAYER with OCR disabled', async (t) => {
+    t.after(() => {
+      config.ocr.enabled = true
+    })
+    config.ocr.enabled = false
+    const pdfData = fs.readFileSync(scannedPDF)
+    await assert.rejects(getPDF(new Uint8Array(pdfData)), { code: 'NO_TEXT_LAYER' })
+  })
+})
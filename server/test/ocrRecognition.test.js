@@ -0,0 +1,197 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const Module = require('module')
+const path = require('path')
+
+// Resolution the fake engine reads the rendered pages at, see `config.ocr.dpi`
+process.env.PDF_OCR_DPI = '300'
+const scale = 300 / 72
+
+// Height of the scanned pages (US letter), in PDF points
+const pageHeight = 792
+
+// The words the lines of the specification are made of
+const words = [
+  'the', 'housing', '12', 'includes', 'a', 'controller', '140', 'coupled', 'to', 'a',
+  'sensor', '16', 'wherein', 'the', 'controller', 'is', 'configured', 'to', 'receive',
+]
+
+/**
+ * Lays out the text printed on a page of a granted patent, as `{ x, y, text }`
+ * in PDF points: a drawing sheet on the first page, then a page of the
+ * specification with its header, its column numbers and two columns of 60
+ * lines with a line number every fifth line in the gutter.
+ *
+ * @param {number} pageIndex - The index of the page, from 0.
+ * @returns {Array<Object>} The printed lines.
+ */
+function printPage(pageIndex) {
+  if (pageIndex === 0) {
+    return [
+      { x: 150, y: 752, text: 'U.S. Patent     Jan. 1, 2008     Sheet 1 of 1     US 7,123,456 B2' },
+      { x: 280, y: 492, text: 'FIG. 1' },
+    ]
+  }
+
+  const printedLines = [
+    { x: 270, y: 752, text: 'US 7,123,456 B2' },
+    { x: 170, y: 737, text: '1' },
+    { x: 440, y: 737, text: '2' },
+  ]
+  for (let i = 0; i < 60; i++) {
+    const y = 717 - i * 10
+    for (const [column, x] of [60, 320].entries()) {
+      const first = (i * 2 + column) * 5
+      const text = [0, 1, 2, 3, 4].map((j) => words[(first + j) % words.length]).join(' ')
+      printedLines.push({ x, y, text })
+    }
+    if ((i + 1) % 5 === 0) {
+      printedLines.push({ x: 298, y, text: String(i + 1) })
+    }
+  }
+  return printedLines
+}
+
+/**
+ * Turns printed lines into the result tesseract.js `recognize` gives for the
+ * rendered page: words with their bounding boxes in pixels, grouped in lines.
+ * Each character is as wide as half the font size.
+ *
+ * @param {Array<Object>} printedLines - The lines returned by `printPage`.
+ * @returns {Object} The recognition result, with its `blocks`.
+ */
+function recognizeLines(printedLines) {
+  const charWidth = 4
+  const fontSize = 8
+  const lines = printedLines.map(({ x, y, text }) => {
+    const baseline = (pageHeight - y) * scale
+    const top = (pageHeight - y - fontSize) * scale
+    let left = x
+    const lineWords = text
+      .split(' ')
+      .map((word) => {
+        const bbox = {
+          x0: left * scale,
+          y0: top,
+          x1: (left + word.length * charWidth) * scale,
+          y1: baseline,
+        }
+        left += (word.length + 1) * charWidth
+        return { text: word, bbox, confidence: 90 }
+      })
+      // Runs of spaces only widen the gap between two words
+      .filter((word) => word.text)
+    return {
+      bbox: { x0: x * scale, y0: top, x1: left * scale, y1: baseline },
+      baseline: { y0: baseline, y1: baseline },
+      words: lineWords,
+    }
+  })
+  return { blocks: [{ paragraphs: [{ lines }] }] }
+}
+
+// Stand in for node-canvas and tesseract.js, so the test reads the same text on
+// every machine, whether or not the OCR packages are installed
+const loadModule = Module._load
+Module._load = function (request, ...args) {
+  if (request === 'canvas') {
+    return { createCanvas: createFakeCanvas }
+  }
+  if (request === 'tesseract.js') {
+    return { createWorker: createFakeWorker }
+  }
+  if (request === '@tesseract.js-data/eng') {
+    return { code: 'eng', langPath: '', gzip: false }
+  }
+  return loadModule.call(this, request, ...args)
+}
+
+/**
+ * Creates a canvas whose 2D context accepts the drawing calls of PDF.js and
+ * draws nothing.
+ *
+ * @returns {Object} The canvas, with `getContext` and `toBuffer`.
+ */
+function createFakeCanvas() {
+  const context = new Proxy(
+    {},
+    {
+      get(target, name) {
+        if (name in target) {
+          return target[name]
+        }
+        if (name === 'getTransform') {
+          return () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 })
+        }
+        return () => {}
+      },
+    }
+  )
+  return { getContext: () => context, toBuffer: () => Buffer.alloc(0) }
+}
+
+// The number of pages the fake engine has been asked to read
+let recognizedPages = 0
+
+/**
+ * Creates a tesseract.js worker that reads the lines of `printPage` on each
+ * page, in page order.
+ *
+ * @returns {Promise<Object>} The worker, with `recognize` and `terminate`.
+ */
+async function createFakeWorker() {
+  return {
+    async recognize() {
+      return { data: recognizeLines(printPage(recognizedPages++)) }
+    },
+    async terminate() {},
+  }
+}
+
+const { getPDF, getPDFText } = require('../pdfParser')
+
+// A scanned patent: pages without a text layer
+const scannedPDF = path.join(__dirname, 'fixtures', 'scanned', '7123462.pdf')
+
+test.describe('OCR of scanned pages', () => {
+  test.after(() => {
+    Module._load = loadModule
+  })
+  test.beforeEach(() => {
+    recognizedPages = 0
+  })
+
+  test('the recognized words are placed where they are printed on the page', async () => {
+    const entries = await getPDFText(new Uint8Array(fs.readFileSync(scannedPDF)))
+    assert.ok(entries.every((entry) => entry.ocr && entry.confidence === 0.9))
+
+    const [header] = entries.filter((entry) => entry.page === 2 && entry.y === 752)
+    assert.strictEqual(header.text, 'US 7,123,456 B2')
+    assert.strictEqual(Math.round(header.x), 270)
+    assert.strictEqual(Math.round(header.width), 60)
+    assert.strictEqual(Math.round(header.height), 8)
+  })
+
+  test('words printed close together are read as one entry, like a text layer', async () => {
+    const entries = await getPDFText(new Uint8Array(fs.readFileSync(scannedPDF)))
+    const sheetHeader = entries.filter((entry) => entry.page === 1 && entry.y === 752)
+    assert.deepStrictEqual(
+      sheetHeader.map((entry) => entry.text),
+      ['U.S. Patent', 'Jan. 1, 2008', 'Sheet 1 of 1', 'US 7,123,456 B2']
+    )
+  })
+
+  test('the lines read by OCR are numbered like a text layer', async () => {
+    const { lines } = await getPDF(new Uint8Array(fs.readFileSync(scannedPDF)))
+
+    const printedLines = printPage(1)
+    for (const [column, x] of [60, 320].entries()) {
+      const printedLine = printedLines.find((line) => line.x === x && line.y === 677)
+      const line = lines.find((line) => line.column === column + 1 && line.lineNumber === 5)
+      assert.ok(line, `column ${column + 1} has a line 5`)
+      assert.strictEqual(line.text, printedLine.text)
+    }
+    assert.ok(lines.some((line) => line.column === 2 && line.lineNumber === 60))
+  })
+})
@@ -0,0 +1,116 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const config = require('../config')
+const { createError } = require('../errors')
+const { fetchPDF, setProviders } = require('../providers')
+const { createFixtureProvider } = require('../providers/fixture')
+const { createUSPTOProvider } = require('../providers/uspto')
+
+// A sample patent, served by the fixture providers
+const samplePDF = path.join(__dirname, 'fixtures', '7123461.pdf')
+
+/**
+ * Starts a server that accepts requests and never answers them, to stand in
+ * for a patent office that does not respond.
+ *
+ * @returns {Promise<http.Server>} A promise that resolves with the listening server.
+ */
+function startSilentServer() {
+  const server = http.createServer(() => {})
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+test.describe('fixture provider', () => {
+  test('serves the PDFs listed in a manifest, relative to it', async (t) => {
+    const manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-manifest-'))
+    t.after(() => fs.rmSync(manifestDir, { recursive: true, force: true }))
+    const manifest = path.join(manifestDir, 'manifest.json')
+    fs.writeFileSync(
+      manifest,
+      JSON.stringify({ 7123461: path.relative(manifestDir, samplePDF) })
+    )
+
+    const provider = createFixtureProvider({ manifest })
+    assert.deepStrictEqual(await provider.fetchPDF('7123461'), fs.readFileSync(samplePDF))
+    assert.strictEqual(await provider.fetchPDF('7999999'), null)
+  })
+
+  test('serves PDFs given in memory or by path', async () => {
+    const provider = createFixtureProvider({
+      fixtures: { 7000001: Buffer.from('%PDF- first'), 7123461: samplePDF },
+    })
+    assert.strictEqual((await provider.fetchPDF('7000001')).toString(), '%PDF- first')
+    assert.deepStrictEqual(await provider.fetchPDF('7123461'), fs.readFileSync(samplePDF))
+  })
+})
+
+test.describe('fetchPDF', () => {
+  test.after(() => setProviders(null))
+
+  test('returns the PDF of the first provider that has it', async () => {
+    setProviders([
+      createFixtureProvider({ fixtures: { 7000001: Buffer.from('%PDF- first') } }),
+      createFixtureProvider({
+        fixtures: {
+          7000001: Buffer.from('%PDF- second'),
+          7000002: Buffer.from('%PDF- second'),
+        },
+      }),
+    ])
+    assert.strictEqual((await fetchPDF('7000001')).toString(), '%PDF- first')
+    assert.strictEqual((await fetchPDF('7000002')).toString(), '%PDF- second')
+  })
+
+  test('is DOCUMENT_NOT_FOUND when no provider has the document', async () => {
+    setProviders([createFixtureProvider({ fixtures: {} }), createFixtureProvider({ fixtures: {} })])
+    await assert.rejects(fetchPDF('7999999'), { code: 'DOCUMENT_NOT_FOUND' })
+  })
+
+  test('is PDF_NOT_FOUND when a provider knows the document but has no PDF', async () => {
+    setProviders([
+      {
+        name: 'no-pdf',
+        async fetchPDF(documentNumber) {
+          throw createError('PDF_NOT_FOUND', `No PDF of ${documentNumber}`)
+        },
+      },
+      createFixtureProvider({ fixtures: {} }),
+    ])
+    await assert.rejects(fetchPDF('7999999'), { code: 'PDF_NOT_FOUND' })
+  })
+
+  test.describe('with a patent office that does not respond', () => {
+    let server
+    let timeoutMs
+    test.before(async () => {
+      server = await startSilentServer()
+      timeoutMs = config.upstream.timeoutMs
+      config.upstream.timeoutMs = 100
+    })
+    test.after(() => {
+      config.upstream.timeoutMs = timeoutMs
+      server.closeAllConnections()
+      server.close()
+    })
+
+    const createSilentProvider = () =>
+      createUSPTOProvider({ url: `http://127.0.0.1:${server.address().port}/{number}.pdf` })
+
+    test('falls back to the next provider after a timeout', async () => {
+      setProviders([
+        createSilentProvider(),
+        createFixtureProvider({ fixtures: { 7000001: Buffer.from('%PDF- fixture') } }),
+      ])
+      assert.strictEqual((await fetchPDF('7000001')).toString(), '%PDF- fixture')
+    })
+
+    test('is UPSTREAM_TIMEOUT rather than not found when no provider has the document', async () => {
+      setProviders([createSilentProvider(), createFixtureProvider({ fixtures: {} })])
+      await assert.rejects(fetchPDF('7999999'), { code: 'UPSTREAM_TIMEOUT' })
+    })
+  })
+})
@@ -0,0 +1,89 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { getReferenceNumerals } = require('../referenceNumerals')
+
+// A paragraph of a granted patent, printed in column 5 from line 10
+const paragraph = [
+  'FIG. 3 shows the housing 12 of the device. A first sensor',
+  '16 and a second sensor 18 are mounted to the housing 12, and',
+  'sensors 16 and 18 are read by a controller 20. The device',
+  'comprises 3 layers and includes 2 seals. As recited in claim 2,',
+  'the housing 12 is 10 mm wide and heated to 100 °C. A valve',
+  '24 f is held by a bracket 26 having 4 holes, see FIGS. 5 and 6.',
+]
+
+// The same housing, mentioned again much further down the column
+const laterLines = ['The housing 12 is then closed by the lid 30.']
+
+const lines = [...paragraph, ...laterLines].map((text, i) => ({
+  page: 5,
+  column: 5,
+  lineNumber: i < paragraph.length ? 10 + i : 40,
+  text,
+}))
+
+/**
+ * Looks up one numeral in the index.
+ *
+ * @param {Array<Object>} numerals - The numerals returned by `getReferenceNumerals`.
+ * @param {string} numeral - The numeral to look up.
+ * @returns {Object|undefined} The entry of the numeral.
+ */
+function findNumeral(numerals, numeral) {
+  return numerals.find((entry) => entry.numeral === numeral)
+}
+
+test.describe('getReferenceNumerals', () => {
+  const numerals = getReferenceNumerals(lines)
+
+  test('names each numeral by the words before it', () => {
+    assert.deepStrictEqual(findNumeral(numerals, '12').names, ['housing'])
+    assert.deepStrictEqual(findNumeral(numerals, '16').names, ['first sensor', 'sensors'])
+    assert.deepStrictEqual(findNumeral(numerals, '20').names, ['controller'])
+    assert.deepStrictEqual(findNumeral(numerals, '26').names, ['bracket'])
+  })
+
+  test('names a numeral listed after another one by the shared name', () => {
+    assert.deepStrictEqual(findNumeral(numerals, '18').names, ['second sensor', 'sensors'])
+  })
+
+  test('cites the line a numeral is printed on, not the line its name starts on', () => {
+    assert.deepStrictEqual(
+      findNumeral(numerals, '16').mentions.map((mention) => mention.lineNumber),
+      [11, 12]
+    )
+  })
+
+  test('does not take figure and claim numbers, values or counts for numerals', () => {
+    const numbers = numerals.map((entry) => entry.numeral)
+    // FIG. 3, FIGS. 5 and 6, claim 2, 10 mm, 100 °C
+    for (const number of ['3', '5', '6', '2', '10', '100']) {
+      assert.ok(!numbers.includes(number), `${number} is not a numeral`)
+    }
+    // "comprises 3 layers", "includes 2 seals" and "having 4 holes" are counts
+    assert.ok(!numbers.includes('4'))
+  })
+
+  test('reads a letter printed after a numeral as a suffix, not a unit', () => {
+    assert.deepStrictEqual(findNumeral(numerals, '24').names, ['valve'])
+  })
+
+  test('merges mentions a few lines apart into one citation range', () => {
+    const housing = findNumeral(numerals, '12')
+    assert.deepStrictEqual(
+      housing.mentions.map((mention) => mention.lineNumber),
+      [10, 11, 14, 40]
+    )
+    assert.strictEqual(housing.citation, 'col. 5, ll. 10-14; col. 5, l. 40')
+    assert.strictEqual(findNumeral(numerals, '20').citation, 'col. 5, l. 12')
+  })
+
+  test('cites the figures a numeral is drawn in', () => {
+    const drawingSheets = [
+      { sheet: 2, page: 3, numerals: [{ numeral: '12', figure: '3' }, { numeral: '12', figure: '4' }] },
+    ]
+    const housing = findNumeral(getReferenceNumerals(lines, drawingSheets), '12')
+    assert.deepStrictEqual(housing.figures, ['3', '4'])
+    assert.strictEqual(housing.citation, 'FIGS. 3, 4; col. 5, ll. 10-14; col. 5, l. 40')
+  })
+})
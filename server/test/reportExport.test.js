@@ -0,0 +1,70 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { buildReport, exportReport, reportFormats } = require('../reportExport')
+
+// The rows of a batch search: one query with two hits, one without any
+const rows = [
+  {
+    searchString: 'a housing, and a "sealed" lid',
+    searchResults: [
+      { text: 'the housing 12, with its lid', citation: 'col. 1, ll. 5-6', score: 0.954 },
+      { text: 'the housing', citation: 'col. 3, l. 2', score: 0.5 },
+    ],
+  },
+  { searchString: 'a spring', searchResults: [] },
+]
+
+const metadata = { documentNumber: '7123456', kind: 'B2', title: 'WIDGET ASSEMBLY' }
+
+test.describe('buildReport', () => {
+  test('names the patent by its front page number and kind', () => {
+    const report = buildReport('7123456', metadata, rows)
+    assert.strictEqual(report.documentNumber, 'US 7123456 B2')
+    assert.strictEqual(report.title, 'WIDGET ASSEMBLY')
+    assert.deepStrictEqual(report.entries[0].hits[0], {
+      text: 'the housing 12, with its lid',
+      citation: 'col. 1, ll. 5-6',
+      score: 0.954,
+    })
+    assert.deepStrictEqual(report.entries[1], { searchString: 'a spring', hits: [] })
+  })
+
+  test('falls back to the document key without front page metadata', () => {
+    const report = buildReport('upload-1234', null, rows)
+    assert.strictEqual(report.documentNumber, 'upload-1234')
+    assert.strictEqual(report.title, '')
+  })
+})
+
+test.describe('exportReport', () => {
+  const report = buildReport('7123456', metadata, rows)
+
+  test('writes CSV with quoted fields and a row for a query without hits', async () => {
+    const csv = await exportReport(report, 'csv')
+    assert.deepStrictEqual(csv.split('\r\n'), [
+      'Patent Number,Title,Query,Matched Text,Citation,Score',
+      'US 7123456 B2,WIDGET ASSEMBLY,"a housing, and a ""sealed"" lid","the housing 12, with its lid","col. 1, ll. 5-6",0.95',
+      'US 7123456 B2,WIDGET ASSEMBLY,"a housing, and a ""sealed"" lid",the housing,"col. 3, l. 2",0.50',
+      'US 7123456 B2,WIDGET ASSEMBLY,a spring,,,',
+    ])
+  })
+
+  test('writes JSON with the whole report', async () => {
+    assert.deepStrictEqual(JSON.parse(await exportReport(report, 'json')), report)
+  })
+
+  test('writes a Word document', async () => {
+    const docx = await exportReport(report, 'docx')
+    assert.ok(Buffer.isBuffer(docx))
+    // A DOCX file is a ZIP archive holding the document part
+    assert.strictEqual(docx.subarray(0, 2).toString(), 'PK')
+    assert.ok(docx.includes('word/document.xml'))
+  })
+
+  test('rejects a format that is not one of the report formats', async () => {
+    for (const format of ['pdf', 'constructor', 'toString']) {
+      assert.ok(!Object.hasOwn(reportFormats, format))
+      await assert.rejects(exportReport(report, format), { code: 'INVALID_REQUEST' })
+    }
+  })
+})
@@ -0,0 +1,139 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { searchPDF } = require('../pdfSearch')
+const {
+  findMatchingTerms,
+  getSearchIndex,
+  levenshteinDistance,
+  maxEditDistance,
+} = require('../searchIndex')
+
+/**
+ * Builds a searchable PDF from plain text printed on one line, in the shape
+ * `createSearchablePDF` returns.
+ *
+ * @param {string} text - The text of the document.
+ * @returns {Array<Object>} The words of the document.
+ */
+function toSearchablePDF(text) {
+  return text.split(' ').map((word) => ({ column: 1, line: 1, text: word, word }))
+}
+
+/**
+ * Runs a search and returns the text of every match.
+ *
+ * @param {Array<Object>} searchablePDF - The words of the document.
+ * @param {string} searchString - The text to search for.
+ * @returns {Array<string>} The matched text.
+ */
+function matchedText(searchablePDF, searchString) {
+  return searchPDF(searchablePDF, searchString).map((match) =>
+    match.tokens.map((token) => token.text).join(' ')
+  )
+}
+
+/**
+ * Finds the matching terms the way the search did before the n-gram index:
+ * by comparing the token with every word of the document.
+ *
+ * @param {Object} index - The index built by `buildSearchIndex`.
+ * @param {string} token - The normalized query token.
+ * @returns {Map<string, number>} The matching terms and their distance from the token.
+ */
+function scanMatchingTerms(index, token) {
+  const matches = new Map()
+  index.termPositions.forEach((_, term) => {
+    const distance = levenshteinDistance(term, token)
+    if (distance <= maxEditDistance(token)) {
+      matches.set(term, distance)
+    }
+  })
+  return matches
+}
+
+test.describe('maxEditDistance', () => {
+  test('allows more edits the longer the token is', () => {
+    assert.strictEqual(maxEditDistance('lid'), 0)
+    assert.strictEqual(maxEditDistance('cams'), 1)
+    assert.strictEqual(maxEditDistance('lever'), 1)
+    assert.strictEqual(maxEditDistance('spring'), 2)
+    assert.strictEqual(maxEditDistance('fastening'), 2)
+    assert.strictEqual(maxEditDistance('comprising'), 3)
+    assert.strictEqual(maxEditDistance('substantially'), 3)
+  })
+
+  test('requires numbers to match exactly', () => {
+    assert.strictEqual(maxEditDistance('12'), 0)
+    assert.strictEqual(maxEditDistance('1234567'), 0)
+  })
+})
+
+test.describe('fuzzy matching', () => {
+  const document = toSearchablePDF(
+    'A fastening rnember 12 holds the housinq 14 to the lid 16, ' +
+      'the housing c0mprising a flange 18 and a substanlially flat base 20.'
+  )
+
+  test('matches words mangled by OCR', () => {
+    assert.deepStrictEqual(matchedText(document, 'fastening member'), ['fastening rnember'])
+    assert.deepStrictEqual(matchedText(document, 'the housing'), ['the housinq', 'the housing'])
+    assert.deepStrictEqual(matchedText(document, 'housing comprising a flange'), [
+      'housing c0mprising a flange',
+    ])
+    assert.deepStrictEqual(matchedText(document, 'substantially flat'), ['substanlially flat'])
+  })
+
+  test('scores a fuzzy match below an exact one', () => {
+    const [fuzzy, exact] = searchPDF(document, 'the housing')
+    assert.strictEqual(exact.score, 1)
+    assert.ok(fuzzy.score < 1)
+  })
+
+  test('does not match short words or numbers with an edit', () => {
+    assert.deepStrictEqual(matchedText(document, 'the lip'), [])
+    assert.deepStrictEqual(matchedText(document, 'housinq 15'), [])
+    assert.deepStrictEqual(matchedText(document, 'flange 18'), ['flange 18'])
+  })
+
+  test('does not match words beyond the allowed edits', () => {
+    // Three edits away, but "member" only allows two
+    assert.deepStrictEqual(matchedText(document, 'fastening rnernbar'), [])
+  })
+})
+
+test.describe('n-gram index', () => {
+  // A passage of a patent, so the terms have the spread of a real document
+  const passage =
+    'A fastening assembly for a vehicle door includes a housing having a ' +
+    'cylindrical bore, a spring-loaded latch received in the bore and movable ' +
+    'between a locked position and a released position, and an actuator lever ' +
+    'pivotally coupled to the housing. The controller receives a signal from a ' +
+    'proximity sensor mounted on the frame and energizes the solenoid, which ' +
+    'retracts the plunger against the biasing force of the compression spring. ' +
+    'In another embodiment, the bracket is welded to the panel and the gasket ' +
+    'seals the gap between the flange and the window glass, reducing noise and ' +
+    'vibration transmitted through the hinge pin.'
+
+  test('finds the same terms as comparing the token with every word', () => {
+    const searchablePDF = toSearchablePDF(passage)
+    const index = getSearchIndex(searchablePDF)
+    const terms = [...index.termPositions.keys()]
+    assert.ok(terms.length > 50)
+
+    // Every term of the document, and the same terms with a letter dropped,
+    // doubled and replaced, as OCR would mangle them
+    const tokens = terms.flatMap((term) => [
+      term,
+      term.slice(1),
+      term.slice(0, 2) + term.slice(1),
+      term.slice(0, -1) + 'x',
+    ])
+    tokens.forEach((token) => {
+      assert.deepStrictEqual(
+        findMatchingTerms(index, token),
+        scanMatchingTerms(index, token),
+        `"${token}" matches different terms`
+      )
+    })
+  })
+})
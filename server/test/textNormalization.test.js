@@ -0,0 +1,105 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { normalizeText, normalizeWords } = require('../textNormalization')
+const { searchPDF } = require('../pdfSearch')
+
+/**
+ * Builds the words of printed lines, in the shape `toSearchablePDF` splits
+ * the numbered lines into, before the normalization stage.
+ *
+ * @param {Array<string>} lines - The text of each line, in column 1.
+ * @returns {Array<Object>} The words, with their line and position.
+ */
+function toWords(lines) {
+  return lines.flatMap((text, i) =>
+    text.split(' ').map((word) => ({
+      column: 1,
+      line: i + 1,
+      page: 1,
+      y: 700 - i * 12,
+      text: word,
+      word,
+    }))
+  )
+}
+
+test.describe('normalizeText', () => {
+  test('applies the NFKC compatibility forms', () => {
+    assert.strictEqual(normalizeText('ﬁxed ﬂange ﬀ ﬃ ﬄ ﬆ'), 'fixed flange ff ffi ffl st')
+    assert.strictEqual(normalizeText('ＦＩＧ．１２'), 'FIG.12')
+    assert.strictEqual(normalizeText('x² and H₂O'), 'x2 and H2O')
+  })
+
+  test('types quotes, dashes and minus signs as on a keyboard', () => {
+    assert.strictEqual(normalizeText('the “first” member’s end'), `the "first" member's end`)
+    assert.strictEqual(normalizeText('pages 3–5 — at −40'), 'pages 3-5 - at -40')
+  })
+
+  test('spells out Greek letters', () => {
+    assert.strictEqual(normalizeText('α-olefin'), 'alpha-olefin')
+    assert.strictEqual(normalizeText('β-lactam and Δ'), 'beta-lactam and delta')
+    assert.strictEqual(normalizeText('an angle θ of 2π'), 'an angle theta of 2pi')
+  })
+
+  test('types units as on a keyboard', () => {
+    assert.strictEqual(normalizeText('a 5 μm film'), 'a 5 um film')
+    // The micro sign, a different character from the Greek letter
+    assert.strictEqual(normalizeText('a 5 µm film'), 'a 5 um film')
+    assert.strictEqual(normalizeText('at 100°C'), 'at 100 C')
+    assert.strictEqual(normalizeText('at 100 °F'), 'at 100 F')
+    assert.strictEqual(normalizeText('at 100℃'), 'at 100 C')
+    assert.strictEqual(normalizeText('at 100 deg. C'), 'at 100 C')
+    assert.strictEqual(normalizeText('a 10 kΩ resistor'), 'a 10 kohm resistor')
+  })
+})
+
+test.describe('normalizeWords', () => {
+  test('splits a word that normalizes to several words, keeping its position', () => {
+    const words = normalizeWords(toWords(['heated to 100°C']))
+    assert.deepStrictEqual(
+      words.map(({ text, continued }) => ({ text, continued })),
+      [
+        { text: 'heated', continued: undefined },
+        { text: 'to', continued: undefined },
+        { text: '100', continued: undefined },
+        { text: 'c', continued: true },
+      ]
+    )
+    assert.strictEqual(words[3].y, words[2].y)
+    assert.strictEqual(words[3].word, '100°C')
+  })
+
+  test('joins a word hyphenated across two lines', () => {
+    const words = normalizeWords(toWords(['the housing compris-', 'ing a lid']))
+    assert.strictEqual(words[2].text, 'compris-')
+    assert.strictEqual(words[2].joinedText, 'comprising')
+    // Both parts are kept, so a citation spans both lines
+    assert.strictEqual(words[3].text, 'ing')
+    assert.strictEqual(words[3].line, 2)
+  })
+
+  test('keeps the hyphen when the continuation is not lower case', () => {
+    const words = normalizeWords(toWords(['a COVID-', '19 test']))
+    assert.strictEqual(words[1].joinedText, 'covid-19')
+  })
+
+  test('does not join a hyphenated word within one line', () => {
+    const words = normalizeWords(toWords(['an alpha- and beta-olefin']))
+    assert.strictEqual(words[1].joinedText, undefined)
+  })
+
+  test('lets a search match a word hyphenated across lines on both lines', () => {
+    const words = normalizeWords(toWords(['the housing compris-', 'ing a lid']))
+    const [match] = searchPDF(words, 'housing comprising a')
+    assert.deepStrictEqual(
+      match.tokens.map((token) => [token.line, token.text]),
+      [
+        [1, 'housing'],
+        [1, 'compris-'],
+        [2, 'ing'],
+        [2, 'a'],
+      ]
+    )
+    assert.strictEqual(match.score, 1)
+  })
+})
@@ -0,0 +1,101 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { searchPDF } = require('../pdfSearch')
+
+/**
+ * Builds a searchable PDF from plain text, one printed line per sentence, in
+ * the shape `createSearchablePDF` returns.
+ *
+ * @param {string} text - The text of the document.
+ * @returns {Array<Object>} The words of the document.
+ */
+function toSearchablePDF(text) {
+  return text
+    .split(/(?<=\.) /)
+    .flatMap((sentence, line) =>
+      sentence.split(' ').map((word) => ({ column: 1, line: line + 1, text: word, word }))
+    )
+}
+
+/**
+ * Runs an 'align' mode search and returns the text of every match.
+ *
+ * @param {Array<Object>} searchablePDF - The words of the document.
+ * @param {string} searchString - The text to search for.
+ * @returns {Array<Object>} The `text`, `score` and `coverage` of every match.
+ */
+function alignedMatches(searchablePDF, searchString) {
+  return searchPDF(searchablePDF, searchString, { mode: 'align' }).map((match) => ({
+    text: match.tokens.map((token) => token.text).join(' '),
+    score: match.score,
+    coverage: match.coverage,
+  }))
+}
+
+const document = toSearchablePDF(
+  'The widget has a housing 12 made of molded plastic. ' +
+    'A lid 14 is sealed to the housing 12 by an adhesive bead. ' +
+    'The lid 14 carries a lever 16 which engages a catch 18 on the housing. ' +
+    'A spring 20 biases the lever 16 toward the catch. ' +
+    'A second spring 22 also biases the lever toward the catch. ' +
+    'The housing is mounted to a bracket 24 with screws.'
+)
+
+test.describe('align mode', () => {
+  test('finds the passage as printed with full score and coverage', () => {
+    assert.deepStrictEqual(alignedMatches(document, 'lid 14 is sealed to the housing'), [
+      { text: 'lid 14 is sealed to the housing', score: 1, coverage: 1 },
+    ])
+  })
+
+  test('finds a passage with words missing from the document', () => {
+    const matches = alignedMatches(document, 'a lid 14 is hermetically sealed to the housing 12')
+    assert.strictEqual(matches.length, 1)
+    assert.match(matches[0].text, /^A lid 14 is sealed to the housing 12/)
+    assert.strictEqual(matches[0].coverage, 0.9)
+    assert.ok(matches[0].score < 1)
+  })
+
+  test('finds a passage with extra words in the document', () => {
+    const matches = alignedMatches(document, 'lever engages a catch on the housing')
+    assert.strictEqual(matches.length, 1)
+    assert.strictEqual(matches[0].text, 'lever 16 which engages a catch 18 on the housing.')
+    assert.strictEqual(matches[0].coverage, 1)
+  })
+
+  test('finds a passage with its words reordered', () => {
+    const matches = alignedMatches(document, 'sealed to the housing by an adhesive bead is the lid 14')
+    assert.strictEqual(matches.length, 1)
+    assert.strictEqual(matches[0].text, 'sealed to the housing 12 by an adhesive bead. The lid 14')
+    assert.ok(matches[0].coverage > 0.9)
+  })
+
+  test('reports every passage of a region, not just the best one', () => {
+    const matches = alignedMatches(document, 'a spring biases the lever toward the catch')
+    assert.deepStrictEqual(
+      matches.map((match) => match.text),
+      [
+        'A spring 20 biases the lever 16 toward the catch.',
+        'A second spring 22 also biases the lever toward the catch.',
+      ]
+    )
+    assert.ok(matches[0].score > matches[1].score)
+  })
+
+  test('finds a passage in a region longer than one alignment window', () => {
+    // "housing" on every line chains the whole document into a single region
+    const filler = Array.from(
+      { length: 300 },
+      (_, i) => `The housing ${100 + i} is shown.`
+    ).join(' ')
+    const longDocument = toSearchablePDF(`${filler} A lid 14 is sealed to the housing. ${filler}`)
+    assert.deepStrictEqual(alignedMatches(longDocument, 'lid 14 is sealed to the housing'), [
+      { text: 'lid 14 is sealed to the housing.', score: 1, coverage: 1 },
+    ])
+  })
+
+  test('finds nothing when too few of the words occur', () => {
+    assert.deepStrictEqual(alignedMatches(document, 'a rotor blade with a cooling channel'), [])
+    assert.deepStrictEqual(alignedMatches(document, 'a lever with a cooling channel and rotor'), [])
+  })
+})
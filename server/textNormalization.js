@@ -0,0 +1,113 @@
+// Greek letters, spelled out so "alpha-olefin" matches "α-olefin". The
+// uppercase letters are looked up by their lowercase form.
+const greekLetters = {
+  α: 'alpha',
+  β: 'beta',
+  γ: 'gamma',
+  δ: 'delta',
+  ε: 'epsilon',
+  ζ: 'zeta',
+  η: 'eta',
+  θ: 'theta',
+  ι: 'iota',
+  κ: 'kappa',
+  λ: 'lambda',
+  μ: 'mu',
+  ν: 'nu',
+  ξ: 'xi',
+  ο: 'omicron',
+  π: 'pi',
+  ρ: 'rho',
+  σ: 'sigma',
+  ς: 'sigma',
+  τ: 'tau',
+  υ: 'upsilon',
+  φ: 'phi',
+  χ: 'chi',
+  ψ: 'psi',
+  ω: 'omega',
+}
+
+/**
+ * Rewrites the characters a keyboard does not have into what a user would
+ * type instead, so a search string and the document text it quotes compare
+ * equal: ligatures, curly quotes, dashes and minus signs, Greek letters, and
+ * the units "μm" ("um") and "°C" ("C"). Both the words of a document and the
+ * search strings are normalized this way before they are matched.
+ *
+ * @param {string} text - The text to normalize.
+ * @returns {string} The normalized text. It may hold more words than the
+ *                   original, e.g. "100°C" becomes "100 C".
+ *
+ * @example
+ * normalizeText('a 5 μm “ﬁlm” at 100°C') // 'a 5 um "film" at 100 C'
+ */
+function normalizeText(text) {
+  return (
+    text
+      // Compatibility forms: ligatures, the micro sign, "℃", full-width and superscript digits
+      .normalize('NFKC')
+      .replace(/[‘’‚‛′´`]/g, "'")
+      .replace(/[“”„‟″]/g, '"')
+      .replace(/[­‐-―−]/g, '-')
+      // "100°C", "100 °C" and "100 deg. C" are typed as "100 C"
+      .replace(/\s*°\s*([CF])\b/gi, ' $1')
+      .replace(/(\d)\s*deg(?:rees?)?\.?\s*([CF])\b/gi, '$1 $2')
+      // A micro prefix is typed as "u", e.g. "um" for "μm"
+      .replace(/[μΜ](?=[a-zA-Z])/g, 'u')
+      // An uppercase omega is almost always the ohm, e.g. "10 kΩ"
+      .replace(/Ω/g, 'ohm')
+      .replace(/[Α-Ωα-ω]/g, (letter) => greekLetters[letter.toLowerCase()] || letter)
+  )
+}
+
+/**
+ * The text normalization stage of a searchable PDF. The `text` of every word
+ * is normalized with `normalizeText` and lower-cased, and a word that normalizes to several
+ * words is split into parts that share its position; the parts after the
+ * first are marked as `continued`. A word hyphenated at the end of a line
+ * keeps both of its parts, so a citation still spans both lines, and the
+ * first part gets the `joinedText` of the whole word to be matched by.
+ *
+ * @param {Array<Object>} words - The words of the document, in reading order,
+ *                                with their `text` and the `word` as printed.
+ * @returns {Array<Object>} The normalized words.
+ */
+function normalizeWords(words) {
+  let normalizedWords = []
+  words.forEach((word) => {
+    normalizeText(word.text)
+      .split(/\s+/)
+      .filter((part) => part)
+      .forEach((part, i) => {
+        normalizedWords.push({
+          ...word,
+          text: part.toLowerCase(),
+          ...(i > 0 && { continued: true }),
+        })
+      })
+  })
+
+  normalizedWords.forEach((word, i) => {
+    const nextWord = normalizedWords[i + 1]
+    if (
+      nextWord &&
+      !nextWord.continued &&
+      word.text.endsWith('-') &&
+      (word.page !== nextWord.page || word.y !== nextWord.y)
+    ) {
+      // The hyphen is dropped when the continuation is printed in lower case
+      // ("compris-" + "ing"), and kept otherwise ("COVID-" + "19")
+      const keepHyphen = !/^\p{Ll}/u.test(nextWord.word)
+      word.joinedText =
+        (keepHyphen ? word.text : word.text.slice(0, -1)) + nextWord.text
+    }
+  })
+
+  return normalizedWords
+}
+
+module.exports = {
+  normalizeText,
+  normalizeWords,
+}
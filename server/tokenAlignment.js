@@ -0,0 +1,308 @@
+// Smith-Waterman scores for aligning search string tokens against document words
+const matchScore = 2
+const mismatchPenalty = 1
+const gapPenalty = 1
+
+// Minimum share of the search string tokens a passage must contain to be reported
+const defaultMinCoverage = 0.6
+
+// Most document words aligned at once. Frequent words can chain matches into a
+// region spanning much of the document, so longer regions are aligned in
+// overlapping windows to bound the size of the alignment matrix.
+const maxRegionWords = 400
+
+/**
+ * Returns the alignment score for matching a document word against a search
+ * string token: a full match score for an exact match, reduced for every edit
+ * of a fuzzy match, or the mismatch penalty if the word does not match.
+ *
+ * @param {Object} index - The index built by `buildSearchIndex`.
+ * @param {Map<string, number>} matchingTerms - The terms matching the token, from `findMatchingTerms`.
+ * @param {number} i - The indexed word to compare.
+ * @returns {number} The score for aligning the word with the token.
+ */
+function scoreWord(index, matchingTerms, i) {
+  let distance = matchingTerms.get(index.keys[i])
+  if (distance === undefined && index.joinedKeys[i]) {
+    distance = matchingTerms.get(index.joinedKeys[i])
+  }
+  if (distance === undefined) {
+    return -mismatchPenalty
+  }
+  return matchScore - distance * 0.5
+}
+
+/**
+ * Checks whether a search string token is distinctive enough to locate a
+ * passage by. Short words such as "a" and "the" occur everywhere.
+ *
+ * @param {string} token - The normalized search string token.
+ * @returns {boolean} True for tokens longer than three letters, and for numbers.
+ */
+function isSignificantToken(token) {
+  return token.length > 3 || /^\d+$/.test(token)
+}
+
+/**
+ * Groups the words matching any search string token into regions of the
+ * document that could hold the passage. Only significant tokens start a
+ * region, so "a" and "the" do not chain the whole document into one region.
+ *
+ * @param {Object} index - The index built by `buildSearchIndex`.
+ * @param {Array<string>} tokens - The normalized search string tokens.
+ * @param {Array<Map<string, number>>} tokenMatches - The terms matching each token.
+ * @param {number} minCoverage - The share of the significant tokens a region needs.
+ * @returns {Array<Array<number>>} The first and last indexed word of each region,
+ *                                 with long regions split into windows (see `splitRegion`).
+ */
+function findCandidateRegions(index, tokens, tokenMatches, minCoverage) {
+  const significant = tokens.map(isSignificantToken)
+  const useAllTokens = !significant.some((isSignificant) => isSignificant)
+  const regionTokens = useAllTokens
+    ? tokens.length
+    : significant.filter((isSignificant) => isSignificant).length
+  const minTokens = Math.max(1, Math.ceil(minCoverage * regionTokens))
+
+  let hits = []
+  tokenMatches.forEach((matchingTerms, j) => {
+    if (!useAllTokens && !significant[j]) {
+      return
+    }
+    matchingTerms.forEach((_, term) => {
+      index.termPositions.get(term).forEach((i) => hits.push({ i, j }))
+    })
+  })
+  hits.sort((a, b) => a.i - b.i)
+
+  // Start a new region whenever two hits are further apart than the search string is long
+  let regions = []
+  let region = null
+  hits.forEach((hit) => {
+    if (!region || hit.i - region.end > tokens.length) {
+      region = { start: hit.i, end: hit.i, tokens: new Set() }
+      regions.push(region)
+    }
+    region.end = hit.i
+    region.tokens.add(hit.j)
+  })
+
+  return regions
+    .filter((region) => region.tokens.size >= minTokens)
+    .flatMap((region) =>
+      splitRegion(
+        Math.max(0, region.start - tokens.length),
+        Math.min(index.keys.length - 1, region.end + tokens.length),
+        tokens.length
+      )
+    )
+}
+
+/**
+ * Splits a region longer than `maxRegionWords` into windows that overlap by
+ * twice the search string length, so a passage at the edge of one window is
+ * whole in the next.
+ *
+ * @param {number} first - The first indexed word of the region.
+ * @param {number} last - The last indexed word of the region.
+ * @param {number} tokenCount - The number of search string tokens.
+ * @returns {Array<Array<number>>} The first and last indexed word of each window.
+ */
+function splitRegion(first, last, tokenCount) {
+  const overlap = 2 * tokenCount
+  const windowWords = Math.max(maxRegionWords, 2 * overlap)
+
+  let windows = []
+  for (let start = first; ; start += windowWords - overlap) {
+    const end = Math.min(last, start + windowWords - 1)
+    windows.push([start, end])
+    if (end === last) {
+      return windows
+    }
+  }
+}
+
+/**
+ * Runs a Smith-Waterman local alignment of the search string tokens against
+ * one region of the document and returns every local alignment scoring at
+ * least `minScore`, so a region holding the passage twice reports it twice.
+ * Alignments that overlap a better one are left for `alignSearch` to drop.
+ *
+ * @param {Object} index - The index built by `buildSearchIndex`.
+ * @param {Array<Map<string, number>>} tokenMatches - The terms matching each token.
+ * @param {number} first - The first indexed word of the region.
+ * @param {number} last - The last indexed word of the region.
+ * @param {number} minScore - The lowest alignment score to report.
+ * @returns {Array<Object>} The `start` and `end` indexed word of each aligned
+ *                          span and its alignment `score`.
+ */
+function alignRegion(index, tokenMatches, first, last, minScore) {
+  const rows = last - first + 1
+  const cols = tokenMatches.length
+
+  // S[r][c] is the score of aligning document word r with token c, and H[r][c]
+  // the best score of an alignment ending there
+  const S = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0))
+  const H = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0))
+
+  for (let r = 1; r <= rows; r++) {
+    for (let c = 1; c <= cols; c++) {
+      S[r][c] = scoreWord(index, tokenMatches[c - 1], first + r - 1)
+      H[r][c] = Math.max(
+        0,
+        H[r - 1][c - 1] + S[r][c],
+        H[r - 1][c] - gapPenalty, // extra word in the document
+        H[r][c - 1] - gapPenalty // word missing from the document
+      )
+    }
+  }
+
+  // An alignment ends on a matching pair of words that the next pair does not
+  // raise the score of (a gap after it only lowers the score)
+  let spans = []
+  for (let r = 1; r <= rows; r++) {
+    for (let c = 1; c <= cols; c++) {
+      const isMatch = S[r][c] > 0 && H[r][c] === H[r - 1][c - 1] + S[r][c]
+      const isEnd = r === rows || c === cols || H[r + 1][c + 1] <= H[r][c]
+      if (H[r][c] >= minScore && isMatch && isEnd) {
+        spans.push({
+          start: first + traceBack(H, S, r, c) - 1,
+          end: first + r - 1,
+          score: H[r][c],
+        })
+      }
+    }
+  }
+
+  return spans
+}
+
+/**
+ * Follows an alignment in the Smith-Waterman matrix back from its last cell
+ * to the document word it starts at.
+ *
+ * @param {Array<Array<number>>} H - The alignment scores filled in by `alignRegion`.
+ * @param {Array<Array<number>>} S - The word scores filled in by `alignRegion`.
+ * @param {number} r - The row of the last document word of the alignment.
+ * @param {number} c - The column of the last token of the alignment.
+ * @returns {number} The row of the first document word of the alignment.
+ */
+function traceBack(H, S, r, c) {
+  let start = r
+  while (r > 0 && c > 0 && H[r][c] > 0) {
+    start = r
+    const score = H[r][c]
+    if (score === H[r - 1][c - 1] + S[r][c]) {
+      r--
+      c--
+    } else if (score === H[r - 1][c] - gapPenalty) {
+      r--
+    } else {
+      c--
+    }
+  }
+  return start
+}
+
+/**
+ * Finds passages that are substantially similar to the search string, even if
+ * words were dropped, added or reordered. Candidate regions are aligned with
+ * a Smith-Waterman local alignment over tokens, and each aligned span reports
+ * the share of the search string tokens it contains (in any order) as its
+ * coverage.
+ *
+ * @param {Array<Object>} searchablePDF - The word list returned by `createSearchablePDF`.
+ * @param {Object} index - The index built by `buildSearchIndex`.
+ * @param {Array<string>} tokens - The normalized search string tokens.
+ * @param {Array<Map<string, number>>} tokenMatches - The terms matching each token.
+ * @param {Object} [options]
+ * @param {number} [options.minCoverage=0.6] - The minimum coverage of a reported passage.
+ * @returns {Array<Object>} The matched passages in document order, each with
+ *                          its `tokens`, alignment `score` (0 to 1) and
+ *                          `coverage` (0 to 1).
+ */
+function alignSearch(
+  searchablePDF,
+  index,
+  tokens,
+  tokenMatches,
+  { minCoverage = defaultMinCoverage } = {}
+) {
+  const minTokens = Math.max(1, Math.ceil(minCoverage * tokens.length))
+  // Reordered passages align in pieces, so a span only has to align half the
+  // tokens needed for coverage before it is widened to the rest
+  const minScore = matchScore * Math.ceil(minTokens / 2)
+  let passages = []
+
+  findCandidateRegions(index, tokens, tokenMatches, minCoverage).forEach(
+    ([first, last]) => {
+      alignRegion(index, tokenMatches, first, last, minScore).forEach((span) => {
+        // Words that were reordered fall outside the aligned span, so widen the
+        // span to take in nearby matches of significant tokens it is missing
+        const isMatch = (matchingTerms, i) =>
+          matchingTerms.has(index.keys[i]) ||
+          matchingTerms.has(index.joinedKeys[i])
+        const isCovered = (matchingTerms) => {
+          for (let i = span.start; i <= span.end; i++) {
+            if (isMatch(matchingTerms, i)) {
+              return true
+            }
+          }
+          return false
+        }
+        tokenMatches.forEach((matchingTerms, j) => {
+          if (!isSignificantToken(tokens[j]) || isCovered(matchingTerms)) {
+            return
+          }
+          for (let distance = 1; distance <= tokens.length; distance++) {
+            const before = span.start - distance
+            const after = span.end + distance
+            if (before >= first && isMatch(matchingTerms, before)) {
+              span.start = before
+              break
+            }
+            if (after <= last && isMatch(matchingTerms, after)) {
+              span.end = after
+              break
+            }
+          }
+        })
+
+        // Count the tokens found anywhere in the span, so reordered words are covered too
+        const coveredTokens = tokenMatches.filter(isCovered).length
+        const coverage = coveredTokens / tokens.length
+        if (coverage >= minCoverage) {
+          passages.push({ ...span, coverage })
+        }
+      })
+    }
+  )
+
+  // Spans of one region and of overlapping windows share words, so report the
+  // best-scoring passage of every overlapping group
+  let reported = []
+  passages
+    .sort((a, b) => b.score - a.score || b.coverage - a.coverage || a.start - b.start)
+    .forEach((passage) => {
+      const overlaps = reported.some(
+        (other) => passage.start <= other.end && other.start <= passage.end
+      )
+      if (!overlaps) {
+        reported.push(passage)
+      }
+    })
+
+  return reported
+    .sort((a, b) => a.start - b.start)
+    .map((passage) => ({
+      tokens: searchablePDF.slice(
+        index.positions[passage.start],
+        index.positions[passage.end] + 1
+      ),
+      score: Math.min(1, passage.score / (matchScore * tokens.length)),
+      coverage: passage.coverage,
+    }))
+}
+
+module.exports = {
+  alignSearch,
+}
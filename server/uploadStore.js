@@ -0,0 +1,77 @@
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const path = require('path')
+
+// Directory where uploaded PDFs are kept so their IDs survive a restart
+const uploadDir = path.join(__dirname, 'uploads')
+
+// Upload IDs are derived from the file contents, e.g. 'upload-3f2a9c0d1e4b5a67'
+const uploadIdPattern = /^upload-[0-9a-f]{16}$/
+
+/**
+ * Checks whether a string is a well-formed upload ID. Only well-formed IDs are
+ * ever turned into file paths, so an ID can never point outside the upload
+ * directory.
+ *
+ * @param {string} documentId - The ID to check.
+ * @returns {boolean} True if the ID looks like one returned by `saveUpload`.
+ */
+function isUploadId(documentId) {
+  return typeof documentId === 'string' && uploadIdPattern.test(documentId)
+}
+
+/**
+ * Checks whether the given bytes start with the PDF file signature.
+ *
+ * @param {Buffer} pdfData - The uploaded bytes.
+ * @returns {boolean} True if the bytes look like a PDF document.
+ */
+function isPDFData(pdfData) {
+  return pdfData.subarray(0, 5).toString('latin1') === '%PDF-'
+}
+
+/**
+ * Stores an uploaded PDF and returns the ID it can be searched by. The ID is a
+ * hash of the contents, so uploading the same file twice returns the same ID.
+ *
+ * @param {Buffer} pdfData - The raw bytes of the uploaded PDF.
+ * @returns {Promise<string>} A promise that resolves with the upload ID.
+ */
+async function saveUpload(pdfData) {
+  const hash = crypto.createHash('sha256').update(pdfData).digest('hex')
+  const documentId = `upload-${hash.slice(0, 16)}`
+
+  await fs.mkdir(uploadDir, { recursive: true })
+  await fs.writeFile(path.join(uploadDir, `${documentId}.pdf`), pdfData)
+
+  return documentId
+}
+
+/**
+ * Reads the bytes of a previously uploaded PDF.
+ *
+ * @param {string} documentId - The ID returned by `saveUpload`.
+ * @returns {Promise<Buffer|null>} A promise that resolves with the PDF bytes,
+ *                                 or null if no such upload exists.
+ */
+async function readUpload(documentId) {
+  if (!isUploadId(documentId)) {
+    return null
+  }
+
+  try {
+    return await fs.readFile(path.join(uploadDir, `${documentId}.pdf`))
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null
+    }
+    throw error
+  }
+}
+
+module.exports = {
+  isPDFData,
+  isUploadId,
+  readUpload,
+  saveUpload,
+}
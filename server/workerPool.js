@@ -0,0 +1,201 @@
+const { Worker } = require('worker_threads')
+const { createError } = require('./errors')
+
+/**
+ * Rebuilds an error a worker sent back, keeping its API error code.
+ *
+ * @param {Object} sentError - The `message`, the API error `code` (if any) and
+ *                             the `stack` of the error in the worker.
+ * @returns {Error} The error.
+ */
+function toError(sentError) {
+  const error = new Error(sentError.message)
+  if (sentError.code) {
+    error.code = sentError.code
+  }
+  error.stack = sentError.stack
+  return error
+}
+
+/**
+ * Creates a bounded pool of worker threads that run one job at a time each.
+ * Jobs wait in a queue for a free worker. A job that runs longer than the
+ * timeout, or that is cancelled while running, stops its worker, which is
+ * replaced for the next job.
+ *
+ * The worker script receives `{ id, task, data }` messages and answers with
+ * `{ id, type: 'progress', progress }` messages while it works and a final
+ * `{ id, type: 'result', result }` or `{ id, type: 'error', error }` message.
+ *
+ * @param {string} workerFile - The path of the worker script.
+ * @param {Object} options
+ * @param {number} options.size - The number of workers.
+ * @param {number} options.maxQueue - How many jobs may wait for a worker.
+ * @param {number} options.jobTimeoutMs - How long a job may run.
+ * @param {number} options.maxMemoryMb - The heap size a worker may grow to.
+ * @returns {Object} The pool, with its `run` and `destroy` functions.
+ */
+function createWorkerPool(workerFile, { size, maxQueue, jobTimeoutMs, maxMemoryMb }) {
+  let workers = new Set()
+  let idleWorkers = []
+  let queue = []
+  let nextJobId = 1
+
+  function startWorker() {
+    const worker = new Worker(workerFile, {
+      resourceLimits: { maxOldGenerationSizeMb: maxMemoryMb },
+    })
+    workers.add(worker)
+
+    worker.on('message', (message) => {
+      const job = worker.job
+      if (!job || message.id !== job.id) {
+        return
+      }
+      if (message.type === 'progress') {
+        job.onProgress?.(message.progress)
+      } else if (message.type === 'result') {
+        finishJob(worker, () => job.resolve(message.result))
+      } else {
+        finishJob(worker, () => job.reject(toError(message.error)))
+      }
+    })
+
+    // A worker that crashed or was stopped fails its job and is replaced on demand
+    worker.on('error', (error) => {
+      const job = worker.job
+      worker.job = null
+      if (job) {
+        clearTimeout(job.timer)
+        job.signal?.removeEventListener('abort', job.onAbort)
+        job.reject(
+          error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+            ? createError(
+                'DOCUMENT_TOO_LARGE',
+                `The document needs more than ${maxMemoryMb} MB of memory to process`
+              )
+            : error
+        )
+      }
+    })
+    worker.on('exit', () => {
+      workers.delete(worker)
+      idleWorkers = idleWorkers.filter((idleWorker) => idleWorker !== worker)
+      const job = worker.job
+      if (job) {
+        clearTimeout(job.timer)
+        job.reject(new Error('The worker stopped before finishing its job'))
+      }
+      runQueuedJobs()
+    })
+
+    return worker
+  }
+
+  function finishJob(worker, settle) {
+    clearTimeout(worker.job.timer)
+    worker.job.signal?.removeEventListener('abort', worker.job.onAbort)
+    worker.job = null
+    settle()
+
+    // An idle worker must not keep the process alive, e.g. at the end of a CLI run
+    worker.unref()
+    idleWorkers.push(worker)
+    runQueuedJobs()
+  }
+
+  function stopWorker(worker, error) {
+    const job = worker.job
+    worker.job = null
+    clearTimeout(job.timer)
+    job.signal?.removeEventListener('abort', job.onAbort)
+    job.reject(error)
+    worker.terminate()
+  }
+
+  function runQueuedJobs() {
+    while (queue.length && (idleWorkers.length || workers.size < size)) {
+      const worker = idleWorkers.pop() || startWorker()
+      const job = queue.shift()
+
+      worker.ref()
+      worker.job = job
+      job.timer = setTimeout(() => {
+        stopWorker(
+          worker,
+          createError(
+            'JOB_TIMEOUT',
+            `Processing the document took longer than ${jobTimeoutMs / 1000} seconds`
+          )
+        )
+      }, jobTimeoutMs)
+      job.onAbort = () => stopWorker(worker, job.signal.reason)
+      job.signal?.addEventListener('abort', job.onAbort, { once: true })
+
+      worker.postMessage({ id: job.id, task: job.task, data: job.data }, job.transferList)
+    }
+  }
+
+  /**
+   * Runs a job on the next free worker.
+   *
+   * @param {string} task - The name of the task the worker script runs.
+   * @param {*} data - The input of the task, copied to the worker.
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with the progress the worker reports.
+   * @param {AbortSignal} [options.signal] - Removes the job from the queue, or stops its worker, when aborted.
+   * @param {Array} [options.transferList] - Buffers moved to the worker instead of copied.
+   * @returns {Promise<*>} A promise that resolves with the result of the task.
+   * @throws {Error} A SERVER_BUSY error if the queue is full, a JOB_TIMEOUT error if
+   *                 the job runs too long, or the error the task failed with.
+   */
+  function run(task, data, { onProgress, signal, transferList = [] } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        return reject(signal.reason)
+      }
+      // Only jobs that have to wait for a worker count against the queue limit
+      const hasFreeWorker = idleWorkers.length > 0 || workers.size < size
+      if (!hasFreeWorker && queue.length >= maxQueue) {
+        return reject(
+          createError('SERVER_BUSY', 'The server is busy with other documents, please try again shortly')
+        )
+      }
+
+      const job = { id: nextJobId++, task, data, transferList, onProgress, signal, resolve, reject }
+      queue.push(job)
+
+      // A job cancelled while it waits is dropped from the queue
+      signal?.addEventListener(
+        'abort',
+        () => {
+          if (queue.includes(job)) {
+            queue = queue.filter((queuedJob) => queuedJob !== job)
+            reject(signal.reason)
+          }
+        },
+        { once: true }
+      )
+
+      runQueuedJobs()
+    })
+  }
+
+  /**
+   * Stops every worker. Jobs still running or waiting are rejected.
+   *
+   * @returns {Promise<void>} A promise that resolves once the workers have stopped.
+   */
+  async function destroy() {
+    queue.forEach((job) => job.reject(new Error('The worker pool was stopped')))
+    queue = []
+    size = 0
+    await Promise.all([...workers].map((worker) => worker.terminate()))
+  }
+
+  return { run, destroy }
+}
+
+module.exports = {
+  createWorkerPool,
+}